@@ -1,37 +1,95 @@
-const path = require('path')
 const cors = require('cors')
 const express = require('express')
 const compression = require('compression')
+const { getServerConfig } = require('./lib/config')
+const { sendError } = require('./lib/http')
+const { getMetrics } = require('./lib/metrics')
 
-const routers = {}
+const routers = {
+    bundles: require('./routers/bundles'),
+    corrections: require('./routers/corrections'),
+    lookup: require('./routers/lookup'),
+    manifest: require('./routers/manifest'),
+    metrics: require('./routers/metrics'),
+    search: require('./routers/search'),
+    stats: require('./routers/stats'),
+    translation: require('./routers/translation'),
+}
+
+// server.config.json and environment variables, see lib/config.js and server.config.example.json
+const config = getServerConfig()
 
 const app = express()
-const PORT = process.env.PORT || 5000
-const REPO_URL = 'https://raw.githubusercontent.com/anosu/muvluvgg-translation'
 
+const metrics = getMetrics()
+
+// One JSON line per request, written once the response is sent
+// route is the matched route pattern ("unmatched" for 404s nothing handled), used as the metrics label
 app.use((req, res, next) => {
-    console.log(`${req.method} ${req.url}`)
+    const start = process.hrtime.bigint()
+    res.on('finish', () => {
+        const duration = Number(process.hrtime.bigint() - start) / 1e9
+        const route = req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : 'unmatched'
+        const path = req.originalUrl.split('?')[0]
+        const relativePath = path.startsWith(config.basePath) ? path.slice(config.basePath.length) : path
+        metrics.record({ method: req.method, route, path: relativePath, status: res.statusCode, duration })
+        console.log(JSON.stringify({
+            time: new Date().toISOString(),
+            level: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info',
+            method: req.method,
+            url: req.originalUrl,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(duration * 1e5) / 100,
+            length: Number(res.get('Content-Length')) || undefined,
+        }))
+    })
     next()
 })
 
-app.use(cors())
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }))
 app.use(compression())
 app.use(express.json())
 
+// Everything lives under the base path ('' by default)
+const api = express.Router()
+
 Object.entries(routers).forEach(([path, router]) => {
-    app.use(`/${path}`, router)
+    api.use(`/${path}`, router)
 })
 
-app.all('/', (req, res) => res.redirect('https://github.com/anosu/muvluvgg-translation'))
+const landing = {
+    redirect: (req, res) => res.redirect(config.root.url),
+    index: (req, res) => res.json({
+        routes: Object.keys(routers).map(path => `${config.basePath}/${path}`),
+        files: config.files.mode,
+    }),
+    none: (req, res) => sendError(res, 404, 'not_found', `Nothing here, see ${config.basePath}/manifest`),
+}
+api.all('/', landing[config.root.mode])
 
-Array.from(['names', 'titles', 'scenes']).forEach(cls => {
-    app.get(`/translation/${cls}/*`, (req, res) => {
-        const filePath = path.join(__dirname, 'translation', `${cls}/${req.params[0]}`)
-        res.sendFile(filePath, err => err && res.sendStatus(404))
-        // res.redirect(`${REPO_URL}/refs/heads/main/translation/${cls}/${req.params[0]}`)
-    })
-})
+app.use(config.basePath || '/', api)
+
+app.use((req, res) => sendError(res, 404, 'not_found', `Cannot ${req.method} ${req.path}`))
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`)
+// Malformed JSON bodies and undecodable URLs come with a 4xx status, anything else is our fault
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+    const status = err.status || err.statusCode || 500
+    if (status >= 500) {
+        console.error(`${req.method} ${req.url} failed:`, err)
+        return sendError(res, 500, 'internal_error', 'Internal server error')
+    }
+    sendError(res, status, err.type === 'entity.parse.failed' ? 'invalid_json' : 'bad_request', err.expose ? err.message : 'Bad request')
 })
+
+// Listening only when started as `node app.js`: Vercel and the tests take the app as it is
+if (require.main === module) {
+    app.listen(config.port, () => {
+        console.log(`Server is running on http://localhost:${config.port}${config.basePath}/ (files: ${config.files.mode})`)
+    })
+}
+
+module.exports = app
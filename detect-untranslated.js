@@ -0,0 +1,109 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { TRANSLATION_DIR, UPSTREAM_LOCALE, findMissingTranslationFiles, findTranslationFiles, readJson, relativePath } = require('./lib/files');
+const { getEntry, hashText, loadState } = require('./lib/key-state');
+const { scanTranslation } = require('./lib/language');
+
+// Report values that are still Chinese (Han only) or Japanese (kana)
+// with per-file translation coverage.
+// Retranslate just those keys with: node translate-values.js --untranslated
+
+// Untranslated values the state file records as translated (the run kept Chinese or Japanese output)
+function countRecorded(filePath, lines) {
+    const state = loadState(filePath);
+    if (!state) {
+        return 0;
+    }
+    return lines.filter(line => {
+        const entry = getEntry(state, line.path);
+        return entry && entry.sourceHash === hashText(line.key) && entry.valueHash === hashText(line.value);
+    }).length;
+}
+
+function percent(part, total) {
+    return total === 0 ? 100 : Math.floor((part / total) * 1000) / 10;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean' },
+                lines: { type: 'boolean' },
+                all: { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node detect-untranslated.js [--json] [--lines] [--all] [directory]');
+        process.exitCode = 2;
+        return;
+    }
+
+    const translationDir = args.positionals[0] || TRANSLATION_DIR;
+    const files = [];
+    let total = 0;
+    let untranslated = 0;
+
+    // Scenes with only upstream's zh_Hans.json count with all their Chinese lines
+    const upstreamOnly = findMissingTranslationFiles(translationDir).map(filePath => path.join(path.dirname(filePath), `${UPSTREAM_LOCALE}.json`));
+    for (const filePath of [...findTranslationFiles(translationDir), ...upstreamOnly]) {
+        const file = relativePath(filePath);
+        let result;
+        let recorded;
+        try {
+            result = scanTranslation(readJson(filePath));
+            recorded = countRecorded(filePath, result.untranslated);
+        } catch (error) {
+            console.error(`Error reading ${file}:`, error.message);
+            continue;
+        }
+        total += result.total;
+        untranslated += result.untranslated.length;
+        files.push({
+            file,
+            total: result.total,
+            untranslated: result.untranslated.length,
+            coverage: percent(result.total - result.untranslated.length, result.total),
+            // Recorded as done in the state file but still untranslated
+            markedTranslated: recorded > 0,
+            lines: result.untranslated.map(({ key, value, script }) => ({ key, value, script }))
+        });
+    }
+
+    files.sort((a, b) => a.coverage - b.coverage || a.file.localeCompare(b.file));
+    const incomplete = files.filter(entry => entry.untranslated > 0);
+    const summary = {
+        files: files.length,
+        incompleteFiles: incomplete.length,
+        markedButIncomplete: incomplete.filter(entry => entry.markedTranslated).length,
+        values: total,
+        untranslated,
+        coverage: percent(total - untranslated, total)
+    };
+
+    if (args.values.json) {
+        console.log(JSON.stringify({ summary, files: args.values.all ? files : incomplete }, null, 2));
+        return;
+    }
+
+    for (const entry of args.values.all ? files : incomplete) {
+        const marker = entry.markedTranslated && entry.untranslated > 0 ? '  (recorded as translated)' : '';
+        console.log(`${String(entry.coverage).padStart(5)}%  ${String(entry.untranslated).padStart(4)}/${String(entry.total).padEnd(4)} ${entry.file}${marker}`);
+        if (args.values.lines) {
+            entry.lines.forEach(line => console.log(`         [${line.script}] ${JSON.stringify(line.value)}`));
+        }
+    }
+
+    console.log(`\nCoverage: ${summary.coverage}% (${untranslated} of ${total} values untranslated)`);
+    console.log(`Files with untranslated values: ${summary.incompleteFiles} of ${summary.files}` +
+        ` (${summary.markedButIncomplete} of them recorded as translated)`);
+    if (untranslated > 0) {
+        console.log('Retranslate just these values with: node translate-values.js --untranslated');
+    }
+}
+
+main();
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { TRANSLATION_DIR, findTranslationFiles, resolveTranslationFile } = require('./lib/files');
+const { FORMATS, collectUnits, formatOf, importUnits, parseUnits, serializeUnits } = require('./lib/exchange');
+
+// Scenes, names and titles as XLIFF 2.0, PO or CSV for proofreaders who'd rather not edit the JSON,
+// and the edited files back into translation/ (see lib/exchange.js for what is checked)
+
+const USAGE = [
+    'Usage: node exchange.js export <xliff|po|csv> [--out <file>] [--all] [scene ...]',
+    '       node exchange.js import <file> [--format <xliff|po|csv>] [--dry-run]',
+    'A scene is a scene id (10000101), "names", "titles" or the path of a translation file',
+    'Approved lines are only exported with --all'
+];
+
+function usageError(message) {
+    console.error(message);
+    USAGE.forEach(line => console.error(line));
+    process.exitCode = 2;
+}
+
+function exportUnits(format, targets, values) {
+    const files = targets.length > 0 ? targets.map(resolveTranslationFile) : findTranslationFiles(TRANSLATION_DIR);
+    const units = collectUnits(files, { all: values.all });
+    const content = serializeUnits(format, units);
+    if (!values.out) {
+        process.stdout.write(content);
+        return;
+    }
+    fs.writeFileSync(values.out, content, 'utf8');
+    console.log(`✓ Exported ${units.length} lines of ${files.length} files to ${values.out}`);
+}
+
+function importFile(file, format, values) {
+    const units = parseUnits(format, fs.readFileSync(file, 'utf8'));
+    const result = importUnits(units, { dryRun: values['dry-run'] });
+    for (const unit of result.changed) {
+        console.log(`${values['dry-run'] ? '~' : '✓'} ${unit.file} ${JSON.stringify(unit.source)}: ${JSON.stringify(unit.previous)} → ${JSON.stringify(unit.target)}`);
+    }
+    for (const unit of result.rejected) {
+        console.log(`❌ ${unit.file || unit.scene} ${JSON.stringify(unit.source)}: ${unit.reason}`);
+    }
+    const files = new Set(result.changed.map(unit => unit.file)).size;
+    console.log(`\n${values['dry-run'] ? 'Would update' : 'Updated'} ${result.changed.length} lines in ${files} files ` +
+        `(${result.unchanged} unchanged, ${result.skipped} without a target, ${result.rejected.length} rejected)`);
+    if (result.rejected.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                out: { type: 'string' },
+                all: { type: 'boolean' },
+                format: { type: 'string' },
+                'dry-run': { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        usageError(error.message);
+        return;
+    }
+
+    const [command, ...rest] = args.positionals;
+    try {
+        if (command === 'export') {
+            if (!FORMATS.includes(rest[0])) {
+                usageError(`export needs a format: ${FORMATS.join(', ')}`);
+                return;
+            }
+            exportUnits(rest[0], rest.slice(1), args.values);
+        } else if (command === 'import') {
+            if (rest.length !== 1) {
+                usageError('import needs one file');
+                return;
+            }
+            const format = args.values.format || formatOf(rest[0]);
+            if (!FORMATS.includes(format)) {
+                usageError(`Unknown format for ${rest[0]}, use --format ${FORMATS.join('|')}`);
+                return;
+            }
+            importFile(rest[0], format, args.values);
+        } else {
+            usageError(command ? `Unknown command ${command}` : 'Missing command');
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
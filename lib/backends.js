@@ -0,0 +1,333 @@
+const http = require('http');
+const https = require('https');
+const { BackendConnectionError, BackendHttpError, BackendTimeoutError, InvalidOutputError } = require('./errors');
+const { createCircuitBreaker, withRetry } = require('./retry');
+
+// POST a JSON body and resolve with the parsed JSON response
+// Rejects with the typed errors of lib/errors.js on connection errors, timeouts, non-2xx status and unparsable bodies
+function postJson(url, body, { headers = {}, timeout = 60000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const postData = JSON.stringify(body);
+
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(postData),
+                ...headers
+            },
+            timeout
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new BackendHttpError(`HTTP ${res.statusCode} from ${target.host}: ${data.slice(0, 200)}`, res.statusCode));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new InvalidOutputError(`Unparsable response from ${target.host}: ${data.slice(0, 200)}`));
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(error instanceof BackendTimeoutError ? error : new BackendConnectionError(`Cannot reach ${target.host}: ${error.message}`, error));
+        });
+        req.on('timeout', () => {
+            req.destroy(new BackendTimeoutError(`Request to ${target.host} timed out after ${timeout}ms`));
+        });
+
+        req.write(postData);
+        req.end();
+    });
+}
+
+// Sugoi Offline Translator
+// API format: {message: "translate sentences", content: "text to translate"}
+// Returns the translation directly as a JSON string
+function createSugoiBackend(options = {}) {
+    const host = options.host || 'localhost';
+    const ports = options.ports || (options.port ? [options.port] : [14366]);
+    const apiPath = options.path || '/';
+    const timeout = options.timeout || 60000; // translation can take time
+
+    // Try each configured port in turn
+    async function send(body) {
+        let lastError;
+        for (const port of ports) {
+            try {
+                return await postJson(`http://${host}:${port}${apiPath}`, body, { timeout });
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async function request(text) {
+        const result = await send({ message: 'translate sentences', content: text });
+        // If it's an object, try common fields
+        if (typeof result === 'string') {
+            return result;
+        }
+        const translated = result && (result.content || result.translation || result.text);
+        if (typeof translated !== 'string') {
+            throw new InvalidOutputError(`Unexpected Sugoi response: ${JSON.stringify(result).slice(0, 200)}`);
+        }
+        return translated;
+    }
+
+    // "translate batch" mode takes an array of sentences and returns an array
+    async function requestBatch(texts) {
+        const result = await send({ message: 'translate batch', content: texts });
+        if (!Array.isArray(result)) {
+            throw new InvalidOutputError(`Unexpected Sugoi batch response: ${JSON.stringify(result).slice(0, 200)}`);
+        }
+        return result;
+    }
+
+    return {
+        name: 'sugoi',
+        model: options.model || 'sugoi',
+        description: `Sugoi Offline Translator at http://${host}:${ports.join(' or ')}${apiPath}`,
+        request,
+        requestBatch
+    };
+}
+
+// Generic OpenAI-compatible chat completions endpoint (llama.cpp, vLLM, Ollama, LM Studio, ...)
+function createOpenAIBackend(options = {}) {
+    const baseUrl = (options.baseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    const model = options.model || 'local-model';
+    const timeout = options.timeout || 120000;
+    const systemPrompt = options.systemPrompt ||
+        'You are a professional Japanese to English translator for a visual novel. ' +
+        'Translate the user message into natural English. ' +
+        'Keep placeholders, tags and line breaks exactly as they are. Output only the translation.';
+    const contextPrompt = options.contextPrompt ||
+        'You are a professional Japanese to English translator for a visual novel. ' +
+        'You get the previous lines of the scene for context and a JSON array of lines to translate. ' +
+        'Translate only the lines of the array into natural English, using the context for pronouns, ' +
+        'names and sentences that continue from one line to the next. Keep placeholders and tags exactly as they are. ' +
+        'Output only a JSON array of strings with one translation per line, in the same order.';
+    const headers = options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {};
+
+    async function complete(system, content) {
+        const result = await postJson(`${baseUrl}/chat/completions`, {
+            model,
+            temperature: options.temperature !== undefined ? options.temperature : 0,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content }
+            ]
+        }, { headers, timeout });
+
+        const choice = result.choices && result.choices[0];
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new InvalidOutputError(`Unexpected chat completion response: ${JSON.stringify(result).slice(0, 200)}`);
+        }
+        return choice.message.content.trim();
+    }
+
+    async function request(text) {
+        return complete(systemPrompt, text);
+    }
+
+    // The lines of one key with the source lines before it ({ previous }), answered as a JSON array
+    // Models like to wrap it in a code block or a sentence, so the first [...] of the answer is taken
+    async function requestInContext(lines, context) {
+        const content = [
+            context.previous.length > 0 ? 'Previous lines (context only, do not translate):' : 'No previous lines.',
+            ...context.previous.map(line => line.replace(/\n/g, ' ')),
+            '',
+            `Lines to translate (${lines.length}):`,
+            JSON.stringify(lines)
+        ].join('\n');
+        const answer = await complete(contextPrompt, content);
+        const match = answer.match(/\[[\s\S]*\]/);
+        let translated;
+        try {
+            translated = match ? JSON.parse(match[0]) : null;
+        } catch (error) {
+            translated = null;
+        }
+        if (!Array.isArray(translated)) {
+            throw new InvalidOutputError(`No JSON array in the answer: ${answer.slice(0, 200)}`);
+        }
+        // A line must stay one line, the layout comes from the source
+        return translated.map(line => typeof line === 'string' ? line.replace(/\s*\n\s*/g, ' ') : line);
+    }
+
+    return {
+        name: 'openai',
+        model,
+        description: `OpenAI-compatible endpoint ${baseUrl} (model ${model})`,
+        request,
+        requestInContext
+    };
+}
+
+// LibreTranslate server
+// API format: {q, source, target, format, api_key} -> {translatedText}
+function createLibreTranslateBackend(options = {}) {
+    const url = (options.url || 'http://localhost:5000').replace(/\/+$/, '');
+    const source = options.source || 'ja';
+    const target = options.target || 'en';
+    const timeout = options.timeout || 60000;
+
+    // q may be a string or an array of strings, translatedText mirrors it
+    async function send(q) {
+        const body = { q, source, target, format: 'text' };
+        if (options.apiKey) {
+            body.api_key = options.apiKey;
+        }
+        const result = await postJson(`${url}/translate`, body, { timeout });
+        return result.translatedText;
+    }
+
+    async function request(text) {
+        const translated = await send(text);
+        if (typeof translated !== 'string') {
+            throw new InvalidOutputError(`Unexpected LibreTranslate response: ${JSON.stringify(translated).slice(0, 200)}`);
+        }
+        return translated;
+    }
+
+    async function requestBatch(texts) {
+        const translated = await send(texts);
+        if (!Array.isArray(translated)) {
+            throw new InvalidOutputError(`Unexpected LibreTranslate batch response: ${JSON.stringify(translated).slice(0, 200)}`);
+        }
+        return translated;
+    }
+
+    return {
+        name: 'libretranslate',
+        model: `${source}-${target}`,
+        description: `LibreTranslate at ${url} (${source} -> ${target})`,
+        request,
+        requestBatch
+    };
+}
+
+// Deterministic backend for tests and dry pipelines - no network involved
+// The template receives the source text as {text}
+function createEchoBackend(options = {}) {
+    const template = options.template !== undefined ? options.template : '[echo] {text}';
+
+    async function request(text) {
+        return template.split('{text}').join(text);
+    }
+
+    async function requestBatch(texts) {
+        return Promise.all(texts.map(request));
+    }
+
+    // Context is ignored, it only exercises the context mode of the pipeline
+    async function requestInContext(lines) {
+        return requestBatch(lines);
+    }
+
+    return {
+        name: 'echo',
+        model: 'echo',
+        description: `Echo backend (template "${template}")`,
+        request,
+        requestBatch,
+        requestInContext
+    };
+}
+
+const BACKENDS = {
+    sugoi: createSugoiBackend,
+    openai: createOpenAIBackend,
+    libretranslate: createLibreTranslateBackend,
+    echo: createEchoBackend
+};
+
+// A translation has to be a non-empty string for a non-empty source
+function checkOutput(text, translated) {
+    if (typeof translated !== 'string' || (text.trim() !== '' && translated.trim() === '')) {
+        throw new InvalidOutputError(`Empty or non-text translation: ${JSON.stringify(translated).slice(0, 200)}`);
+    }
+    return translated;
+}
+
+// One translation per line of a context request
+function checkLines(lines, translated) {
+    if (!Array.isArray(translated) || translated.length !== lines.length) {
+        throw new InvalidOutputError(`Expected ${lines.length} translated lines, got ${JSON.stringify(translated).slice(0, 200)}`);
+    }
+    return translated.map((line, i) => checkOutput(lines[i], line));
+}
+
+// Create a backend by name
+// Every backend exposes translate(text) and translateBatch(texts), going through the retry policy of lib/retry.js:
+// policy.retry (retries, baseDelay, maxDelay) and policy.circuitBreaker (threshold, cooldown, maxCooldown, giveUpAfter)
+// translate() rejects with a typed error (lib/errors.js) once the retries are used up, it never returns the source instead
+// Backends with requestInContext (LLM-style ones) also get translateInContext(lines, { previous })
+function createBackend(name, options = {}, policy = {}) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown translation backend "${name}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    const backend = factory(options);
+    const breaker = createCircuitBreaker(backend.name, policy.circuitBreaker);
+    const retryOptions = {
+        ...policy.retry,
+        onRetry: (error, attempt, delay) => {
+            console.warn(`⚠ ${backend.name}: ${error.message}, retry ${attempt} in ${Math.round(delay / 100) / 10}s`);
+        }
+    };
+    const send = action => withRetry(() => breaker.call(action), retryOptions);
+
+    backend.breaker = breaker;
+
+    backend.translate = async (text) => {
+        if (!text || text.trim() === '') {
+            return text;
+        }
+        return send(async () => checkOutput(text, await backend.request(text)));
+    };
+
+    // Backends without a batch endpoint get one request per text,
+    // a malformed batch is retried line by line
+    // Resolves with one entry per text: its translation, or the error that line failed with
+    backend.translateBatch = async (texts) => {
+        if (backend.requestBatch && texts.length > 1) {
+            try {
+                const translated = await send(() => backend.requestBatch(texts));
+                if (translated.length === texts.length && translated.every((t, i) => typeof t === 'string' && (t.trim() !== '' || texts[i].trim() === ''))) {
+                    return translated;
+                }
+                console.error(`${backend.name} returned ${translated.length} results for a batch of ${texts.length}, retrying line by line`);
+            } catch (error) {
+                // Line by line won't help against a backend that is down
+                if (error.unavailable || error.code === 'circuit_open') {
+                    return texts.map(() => error);
+                }
+                console.error(`Batch translation with ${backend.name} failed (${error.message}), retrying line by line`);
+            }
+        }
+        return Promise.all(texts.map(text => backend.translate(text).catch(error => error)));
+    };
+
+    if (backend.requestInContext) {
+        backend.translateInContext = (lines, context) => send(async () => checkLines(lines, await backend.requestInContext(lines, context)));
+    }
+
+    return backend;
+}
+
+module.exports = {
+    BACKENDS,
+    createBackend,
+    postJson
+};
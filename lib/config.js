@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Default config file, optional - everything falls back to the built-in defaults
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'translate.config.json');
+
+const DEFAULT_CONFIG = {
+    backend: 'sugoi',
+    backends: {},
+    scheduler: {},
+    // See lib/retry.js
+    retry: {},
+    circuitBreaker: {},
+    // Lines before a key sent along as context, 0 = off (only backends that take context, see lib/pipeline.js)
+    context: { window: 0 }
+};
+
+// Load the translation config file
+// An explicitly requested file must exist, the default one is optional
+function loadConfig(configPath = null) {
+    const filePath = configPath ? path.resolve(configPath) : DEFAULT_CONFIG_FILE;
+
+    if (!fs.existsSync(filePath)) {
+        if (configPath) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        return { ...DEFAULT_CONFIG, configFile: null };
+    }
+
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        ...DEFAULT_CONFIG,
+        ...content,
+        backends: { ...DEFAULT_CONFIG.backends, ...(content.backends || {}) },
+        configFile: filePath
+    };
+}
+
+// Server config file, optional like the translation one (SERVER_CONFIG to use another file)
+const DEFAULT_SERVER_CONFIG_FILE = path.join(ROOT_DIR, 'server.config.json');
+
+// files.mode decides where /translation/... is served from:
+// - local: the translation directory next to the server (the only mode with per-key locale fallback)
+// - redirect: a 302 to the same file on files.mirrorUrl
+// - proxy: fetched from files.mirrorUrl and kept in files.cacheDir for files.cacheTtl seconds
+// Both need files.mirrorUrl: there is no default, upstream only has the Chinese zh_Hans.json files
+// root.mode is what / answers: redirect (to root.url), index (the list of routes) or none (404)
+// fallback covers scenes we don't have (see lib/scene-fallback.js): off unless fallback.enabled
+const FILES_MODES = ['local', 'redirect', 'proxy'];
+const ROOT_MODES = ['redirect', 'index', 'none'];
+
+const DEFAULT_SERVER_CONFIG = {
+    port: 5000,
+    basePath: '',
+    corsOrigins: ['*'],
+    root: {
+        mode: 'redirect',
+        url: 'https://github.com/anosu/muvluvgg-translation'
+    },
+    files: {
+        mode: 'local',
+        mirrorUrl: null,
+        // The only writable place on Vercel
+        cacheDir: path.join(os.tmpdir(), 'muvluvgg-translation-cache'),
+        cacheTtl: 3600
+    },
+    fallback: {
+        enabled: false,
+        // Upstream Chinese translation, its scene files hold the Japanese source lines
+        upstreamUrl: 'https://raw.githubusercontent.com/anosu/muvluvgg-translation/refs/heads/main',
+        cacheDir: path.join(os.tmpdir(), 'muvluvgg-translation-fallback'),
+        // Seconds clients are told to wait before asking again for a scene being translated
+        retryAfter: 30,
+        // Scenes waiting for translation at most, further ones get a 503
+        maxQueue: 20,
+        // Translation config file (backend, scheduler), translate.config.json by default
+        translateConfig: null
+    }
+};
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Environment variables win over the file, the file over the defaults
+function serverEnvOverrides(env) {
+    const overrides = { root: {}, files: {}, fallback: {} };
+    const set = (target, key, value, parse = x => x) => {
+        if (value !== undefined && value !== '') {
+            target[key] = parse(value);
+        }
+    };
+    set(overrides, 'port', env.PORT, Number);
+    set(overrides, 'basePath', env.BASE_PATH);
+    set(overrides, 'corsOrigins', env.CORS_ORIGINS, splitList);
+    set(overrides.root, 'mode', env.ROOT_MODE);
+    set(overrides.root, 'url', env.ROOT_URL);
+    set(overrides.files, 'mode', env.FILES_MODE);
+    set(overrides.files, 'mirrorUrl', env.MIRROR_URL);
+    set(overrides.files, 'cacheDir', env.CACHE_DIR);
+    set(overrides.files, 'cacheTtl', env.CACHE_TTL, Number);
+    set(overrides.fallback, 'enabled', env.FALLBACK, value => ['1', 'true', 'on', 'yes'].includes(value.toLowerCase()));
+    set(overrides.fallback, 'upstreamUrl', env.UPSTREAM_URL);
+    set(overrides.fallback, 'cacheDir', env.FALLBACK_CACHE_DIR);
+    set(overrides.fallback, 'retryAfter', env.FALLBACK_RETRY_AFTER, Number);
+    return overrides;
+}
+
+// Load the server config: defaults, then the config file, then the environment
+// An explicitly requested file must exist, the default one is optional
+function loadServerConfig(configPath = process.env.SERVER_CONFIG || null, env = process.env) {
+    const filePath = configPath ? path.resolve(configPath) : DEFAULT_SERVER_CONFIG_FILE;
+    let content = {};
+    if (fs.existsSync(filePath)) {
+        content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else if (configPath) {
+        throw new Error(`Config file not found: ${filePath}`);
+    }
+
+    const overrides = serverEnvOverrides(env);
+    const config = {
+        ...DEFAULT_SERVER_CONFIG,
+        ...content,
+        ...overrides,
+        root: { ...DEFAULT_SERVER_CONFIG.root, ...(content.root || {}), ...overrides.root },
+        files: { ...DEFAULT_SERVER_CONFIG.files, ...(content.files || {}), ...overrides.files },
+        fallback: { ...DEFAULT_SERVER_CONFIG.fallback, ...(content.fallback || {}), ...overrides.fallback },
+        configFile: fs.existsSync(filePath) ? filePath : null
+    };
+
+    // No trailing slash, a leading one unless empty: '' or '/api/v1'
+    config.basePath = config.basePath.replace(/\/+$/, '');
+    if (config.basePath && !config.basePath.startsWith('/')) {
+        config.basePath = `/${config.basePath}`;
+    }
+    if (config.files.mirrorUrl) {
+        config.files.mirrorUrl = config.files.mirrorUrl.replace(/\/+$/, '');
+    }
+    config.fallback.upstreamUrl = config.fallback.upstreamUrl.replace(/\/+$/, '');
+
+    if (!FILES_MODES.includes(config.files.mode)) {
+        throw new Error(`files.mode must be one of ${FILES_MODES.join(', ')}, got ${config.files.mode}`);
+    }
+    if (config.files.mode !== 'local' && !config.files.mirrorUrl) {
+        throw new Error(`files.mode ${config.files.mode} needs files.mirrorUrl (MIRROR_URL), a mirror with our en.json files`);
+    }
+    if (!ROOT_MODES.includes(config.root.mode)) {
+        throw new Error(`root.mode must be one of ${ROOT_MODES.join(', ')}, got ${config.root.mode}`);
+    }
+    if (!Number.isInteger(config.port) || config.port < 0) {
+        throw new Error(`port must be a port number, got ${config.port}`);
+    }
+    if (!Number.isFinite(config.files.cacheTtl) || config.files.cacheTtl < 0) {
+        throw new Error(`files.cacheTtl must be a number of seconds, got ${config.files.cacheTtl}`);
+    }
+    if (!Number.isInteger(config.fallback.retryAfter) || config.fallback.retryAfter < 1) {
+        throw new Error(`fallback.retryAfter must be a whole number of seconds, got ${config.fallback.retryAfter}`);
+    }
+    if (!Number.isInteger(config.fallback.maxQueue) || config.fallback.maxQueue < 1) {
+        throw new Error(`fallback.maxQueue must be a whole number, got ${config.fallback.maxQueue}`);
+    }
+    if (!Array.isArray(config.corsOrigins)) {
+        throw new Error('corsOrigins must be a list of origins');
+    }
+    return config;
+}
+
+// The server config the app and the routers share, loaded on first use
+let serverConfig = null;
+
+function getServerConfig() {
+    if (!serverConfig) {
+        serverConfig = loadServerConfig();
+    }
+    return serverConfig;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    DEFAULT_SERVER_CONFIG_FILE,
+    FILES_MODES,
+    ROOT_DIR,
+    ROOT_MODES,
+    getServerConfig,
+    loadConfig,
+    loadServerConfig
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TRANSLATION_DIR } = require('./files');
+const { FALLBACKS, LOCALES, localePreference, mergeFallback } = require('./locales');
+
+// In-memory index of everything the server hands out, built once at startup
+// Documents are 'names', 'titles' and 'scenes/<id>'; each has one entry per locale it has a file for,
+// already merged with its fallbacks, with the exact body sent to clients and its hash, size and date
+// negotiate() picks the entry to serve when the document doesn't have the locale asked for
+// reloadDocument() picks up a file the server itself changed (accepted corrections), the version follows
+
+function hashBody(body) {
+    return crypto.createHash('sha1').update(body).digest('hex').slice(0, 16);
+}
+
+function readLocaleFile(dir, locale) {
+    const filePath = path.join(dir, `${locale}.json`);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), mtime: fs.statSync(filePath).mtime };
+}
+
+// Entries of one document directory, keyed by locale
+function loadDocument(dir) {
+    const files = new Map(LOCALES.map(locale => [locale, readLocaleFile(dir, locale)]));
+    const locales = new Map();
+    for (const locale of LOCALES) {
+        // A locale without its own file is not made up from its fallbacks, it would carry the wrong language
+        if (!files.get(locale)) {
+            continue;
+        }
+        const sources = [locale, ...FALLBACKS[locale]].map(code => files.get(code));
+        const [primary, ...fallbacks] = sources;
+        const data = mergeFallback(primary.data, ...fallbacks.filter(Boolean).map(file => file.data));
+        const body = Buffer.from(JSON.stringify(data));
+        const mtimes = sources.filter(Boolean).map(file => file.mtime.getTime());
+        locales.set(locale, {
+            data,
+            body,
+            hash: hashBody(body),
+            size: body.length,
+            // Seconds only, that's all Last-Modified/If-Modified-Since can carry
+            lastModified: new Date(Math.floor(Math.max(...mtimes) / 1000) * 1000)
+        });
+    }
+    return locales;
+}
+
+function createCorpus(translationDir = TRANSLATION_DIR) {
+    const documents = new Map();
+    const addDocument = (id, dir) => {
+        const locales = loadDocument(dir);
+        if (locales.size > 0) {
+            documents.set(id, { id, locales });
+        }
+    };
+
+    addDocument('names', path.join(translationDir, 'names'));
+    addDocument('titles', path.join(translationDir, 'titles'));
+    const scenesDir = path.join(translationDir, 'scenes');
+    const sceneIds = fs.readdirSync(scenesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+    sceneIds.forEach(sceneId => addDocument(`scenes/${sceneId}`, path.join(scenesDir, sceneId)));
+    const servedSceneIds = sceneIds.filter(sceneId => documents.has(`scenes/${sceneId}`));
+
+    // One hash over every entry: changes whenever any file a client can fetch changes
+    const computeVersion = () => hashBody([...documents.values()]
+        .flatMap(document => [...document.locales].map(([locale, entry]) => `${document.id}:${locale}:${entry.hash}`))
+        .join('\n'));
+
+    const get = (id, locale) => {
+        const document = documents.get(id);
+        return (document && document.locales.get(locale)) || null;
+    };
+
+    // The entry to send for a requested locale and the locale it is in:
+    // the locale itself when the document has it, the closest one it has otherwise
+    const negotiate = (id, locale) => {
+        const document = documents.get(id);
+        const served = document && localePreference(locale).find(code => document.locales.has(code));
+        return served ? { locale: served, entry: document.locales.get(served) } : null;
+    };
+
+    const describe = (document) => {
+        const locales = {};
+        for (const [locale, entry] of document.locales) {
+            locales[locale] = { hash: entry.hash, size: entry.size, lastModified: entry.lastModified.toISOString() };
+        }
+        return locales;
+    };
+
+    // What exists and its hashes, for clients deciding what to download again
+    const manifest = () => {
+        const scenes = {};
+        servedSceneIds.forEach(sceneId => {
+            scenes[sceneId] = describe(documents.get(`scenes/${sceneId}`));
+        });
+        return {
+            version: corpus.version,
+            generatedAt: corpus.builtAt.toISOString(),
+            locales: LOCALES,
+            names: documents.has('names') ? describe(documents.get('names')) : {},
+            titles: documents.has('titles') ? describe(documents.get('titles')) : {},
+            scenes
+        };
+    };
+
+    // Read one document again after its files changed
+    const reloadDocument = (id) => {
+        if (!documents.has(id)) {
+            throw new Error(`Unknown document ${id}`);
+        }
+        documents.get(id).locales = loadDocument(path.join(translationDir, id));
+        corpus.version = computeVersion();
+        corpus.builtAt = new Date();
+    };
+
+    const corpus = {
+        builtAt: new Date(),
+        documents,
+        sceneIds: servedSceneIds,
+        version: computeVersion(),
+        get,
+        manifest,
+        negotiate,
+        reloadDocument
+    };
+    return corpus;
+}
+
+// The corpus the server routes share, built on first use
+let sharedCorpus = null;
+
+function getCorpus() {
+    if (!sharedCorpus) {
+        sharedCorpus = createCorpus();
+    }
+    return sharedCorpus;
+}
+
+module.exports = {
+    createCorpus,
+    getCorpus,
+    hashBody
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+const { TARGET_LOCALE, TRANSLATION_DIR, readJson, writeJson } = require('./files');
+const { MANUAL, createState, getEntry, isApproved, loadState, recordValues, saveState } = require('./key-state');
+
+// Moderation queue for corrections players submit from the game
+// Stored as { version: 1, corrections: [...] } in corrections.json (CORRECTIONS_FILE to move it)
+// A correction is pending until an admin accepts it (its suggestion is written into the scene file,
+// recorded as a manual edit in the state file) or rejects it
+// Anyone can submit, so the pending ones are capped per scene and in total
+const DEFAULT_CORRECTIONS_FILE = path.join(ROOT_DIR, 'corrections.json');
+const STATUSES = ['pending', 'accepted', 'rejected'];
+const MAX_PENDING = 1000;
+const MAX_PENDING_PER_SCENE = 20;
+
+// Refusals that are the correction's fault rather than the server's, with a stable code:
+// - queue_full, scene_queue_full: too many corrections are pending, nothing was queued
+// - line_removed: the line is gone from its scene
+// - line_changed: the line is no longer the one the suggestion was made for (accepted anyway with override)
+// - line_approved: the line was proofread and locked (accepted anyway with override)
+class CorrectionError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function sceneFilePath(sceneId) {
+    return path.join(TRANSLATION_DIR, 'scenes', sceneId, `${TARGET_LOCALE}.json`);
+}
+
+function createCorrectionStore(filePath = process.env.CORRECTIONS_FILE || DEFAULT_CORRECTIONS_FILE) {
+    let corrections = [];
+    if (fs.existsSync(filePath)) {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (content.version !== 1 || !Array.isArray(content.corrections)) {
+            throw new Error(`Unsupported corrections file ${filePath}`);
+        }
+        corrections = content.corrections;
+    }
+
+    // The queue in memory only changes once the file has it, a failed write leaves both as they were
+    const save = (next) => {
+        fs.writeFileSync(filePath, JSON.stringify({ version: 1, corrections: next }, null, 2), 'utf8');
+        corrections = next;
+    };
+
+    const update = (correction, changes) => {
+        const updated = { ...correction, ...changes };
+        save(corrections.map(item => item === correction ? updated : item));
+        return updated;
+    };
+
+    const get = (id) => corrections.find(correction => correction.id === id) || null;
+
+    const list = (status = null) => corrections.filter(correction => !status || correction.status === status);
+
+    // The same suggestion for the same line is only queued once
+    const submit = ({ scene, source, current, suggestion, note = null }) => {
+        const pending = list('pending');
+        const duplicate = pending.find(correction =>
+            correction.scene === scene && correction.source === source && correction.suggestion === suggestion);
+        if (duplicate) {
+            return { correction: duplicate, created: false };
+        }
+        if (pending.length >= MAX_PENDING) {
+            throw new CorrectionError('queue_full', `${MAX_PENDING} corrections are already waiting for review`);
+        }
+        if (pending.filter(correction => correction.scene === scene).length >= MAX_PENDING_PER_SCENE) {
+            throw new CorrectionError('scene_queue_full', `${MAX_PENDING_PER_SCENE} corrections of scene ${scene} are already waiting for review`);
+        }
+        const correction = {
+            id: crypto.randomUUID(),
+            scene,
+            source,
+            current,
+            suggestion,
+            note,
+            status: 'pending',
+            submittedAt: new Date().toISOString()
+        };
+        save([...corrections, correction]);
+        return { correction, created: true };
+    };
+
+    // Write the suggestion into the scene file, the line must still exist
+    // and, unless override is set, still read as it did when the suggestion was made and not be approved
+    const accept = (id, { by = null, override = false } = {}) => {
+        const correction = get(id);
+        const filePath = sceneFilePath(correction.scene);
+        const data = readJson(filePath);
+        if (!Object.prototype.hasOwnProperty.call(data, correction.source)) {
+            throw new CorrectionError('line_removed', `Line no longer exists in scene ${correction.scene}`);
+        }
+        const state = loadState(filePath) || createState();
+        if (!override && data[correction.source] !== correction.current) {
+            throw new CorrectionError('line_changed', 'Line changed since the correction was submitted, accept with override to replace it anyway',
+                { current: data[correction.source] });
+        }
+        if (!override && isApproved(getEntry(state, [correction.source]))) {
+            throw new CorrectionError('line_approved', 'Line is approved, accept with override to replace it anyway');
+        }
+        data[correction.source] = correction.suggestion;
+        writeJson(filePath, data);
+        saveState(filePath, recordValues(state, data, [[correction.source]], MANUAL));
+
+        return update(correction, { status: 'accepted', reviewedAt: new Date().toISOString(), reviewedBy: by });
+    };
+
+    const reject = (id, { by = null, reason = null } = {}) => {
+        const correction = get(id);
+        return update(correction, { status: 'rejected', reviewedAt: new Date().toISOString(), reviewedBy: by, reason });
+    };
+
+    return {
+        filePath,
+        get,
+        list,
+        submit,
+        accept,
+        reject
+    };
+}
+
+module.exports = {
+    CorrectionError,
+    MAX_PENDING,
+    MAX_PENDING_PER_SCENE,
+    STATUSES,
+    createCorrectionStore
+};
@@ -0,0 +1,78 @@
+// Text diffs of translated values, key by key, for translate-values.js --diff
+// A change is { path, before, after }: the key path in the file and the old and new value
+// Values are short and line-broken with \n, so lines are compared by position rather than with a full LCS
+
+// Key paths as one readable line, line breaks shown as \n
+function formatKey(keyPath) {
+    return keyPath.map(key => key.replace(/\n/g, '\\n')).join(' › ');
+}
+
+function unifiedDiff(file, changes) {
+    const lines = [`--- a/${file}`, `+++ b/${file}`];
+    for (const { path, before, after } of changes) {
+        lines.push(`@@ ${formatKey(path)}`);
+        const oldLines = before.split('\n');
+        const newLines = after.split('\n');
+        for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+            if (oldLines[i] === newLines[i]) {
+                lines.push(` ${oldLines[i]}`);
+                continue;
+            }
+            if (i < oldLines.length) {
+                lines.push(`-${oldLines[i]}`);
+            }
+            if (i < newLines.length) {
+                lines.push(`+${newLines[i]}`);
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+// Columns a character takes in a terminal: CJK and full-width forms take two
+function charWidth(char) {
+    return /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/.test(char) ? 2 : 1;
+}
+
+// Cut or pad text to exactly `width` columns
+function fit(text, width) {
+    const chars = Array.from(text);
+    const total = chars.reduce((sum, char) => sum + charWidth(char), 0);
+    if (total <= width) {
+        return text + ' '.repeat(width - total);
+    }
+    let result = '';
+    let used = 0;
+    for (const char of chars) {
+        if (used + charWidth(char) > width - 1) {
+            break;
+        }
+        result += char;
+        used += charWidth(char);
+    }
+    return result + '…' + ' '.repeat(width - 1 - used);
+}
+
+// Old value on the left, new one on the right, | between changed lines like diff -y
+function sideBySideDiff(file, changes, width = process.stdout.columns || Number(process.env.COLUMNS) || 160) {
+    const column = Math.max(Math.floor((width - 3) / 2), 20);
+    const lines = [`${fit(`a/${file}`, column)}   b/${file}`];
+    for (const { path, before, after } of changes) {
+        lines.push(`@@ ${formatKey(path)}`);
+        const oldLines = before.split('\n');
+        const newLines = after.split('\n');
+        for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+            const left = i < oldLines.length ? oldLines[i] : '';
+            const right = i < newLines.length ? newLines[i] : '';
+            const marker = i >= oldLines.length ? '>' : i >= newLines.length ? '<' : left === right ? ' ' : '|';
+            lines.push(`${fit(left, column)} ${marker} ${right}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    formatKey,
+    sideBySideDiff,
+    unifiedDiff
+};
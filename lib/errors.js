@@ -0,0 +1,57 @@
+// Why a translation request failed, so callers can tell what is worth retrying
+// retryable: the same request may succeed later (timeouts, connection errors, 5xx, garbled output)
+// unavailable: the backend itself looks down, these failures trip the circuit breaker (lib/retry.js)
+
+class TranslationError extends Error {
+    constructor(message, { code = 'translation_failed', retryable = false, unavailable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.retryable = retryable;
+        this.unavailable = unavailable;
+    }
+}
+
+class BackendTimeoutError extends TranslationError {
+    constructor(message) {
+        super(message, { code: 'timeout', retryable: true, unavailable: true });
+    }
+}
+
+class BackendConnectionError extends TranslationError {
+    constructor(message, cause) {
+        super(message, { code: 'connection', retryable: true, unavailable: true, cause });
+    }
+}
+
+// Non-2xx answer: 429 and 5xx are worth another try, other statuses mean the request itself is wrong
+class BackendHttpError extends TranslationError {
+    constructor(message, status) {
+        const retryable = status === 429 || status >= 500;
+        super(message, { code: 'http', retryable, unavailable: status >= 500 });
+        this.status = status;
+    }
+}
+
+// The backend answered, but not with a usable translation (unparsable body, wrong shape, empty text)
+class InvalidOutputError extends TranslationError {
+    constructor(message) {
+        super(message, { code: 'invalid_output', retryable: true });
+    }
+}
+
+// The backend stayed down for longer than the circuit breaker is willing to wait
+class CircuitOpenError extends TranslationError {
+    constructor(message) {
+        super(message, { code: 'circuit_open' });
+    }
+}
+
+module.exports = {
+    BackendConnectionError,
+    BackendHttpError,
+    BackendTimeoutError,
+    CircuitOpenError,
+    InvalidOutputError,
+    TranslationError
+};
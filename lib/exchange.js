@@ -0,0 +1,431 @@
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+const { TARGET_LOCALE, TRANSLATION_DIR, findTranslationFiles, readJson, relativePath, sceneName, writeJson } = require('./files');
+const { MANUAL, createState, loadState, recordValues, reviewState, saveState, walkValues } = require('./key-state');
+const { validateLine } = require('./markup');
+
+// Translation files as XLIFF 2.0, gettext PO and CSV for proofreaders, and back
+// Every line is a unit { scene, file, path, source, target, review }:
+// - scene: scene id, "names" or "titles" (what resolveTranslationFile takes), file: its repository-relative path;
+//   importing only writes to the translation files below translation/
+// - path: key path of the value in the translation file, written as JSON (["speakerNames","める"]),
+//   for scenes it is just the source line
+// - review: the review state when it was exported, for context only, importing never approves anything
+// Importing only writes targets that changed, after checking that the key still exists with the same source
+// and that the markup of the target matches its source (lib/markup.js)
+
+const FORMATS = ['xliff', 'po', 'csv'];
+const SOURCE_LOCALE = 'ja';
+const CSV_COLUMNS = ['scene', 'key', 'source', 'target', 'review'];
+
+// XLIFF 2.0 segment states for our review states
+const XLIFF_STATES = { new: 'initial', machine: 'translated', edited: 'reviewed', approved: 'final' };
+
+function formatOf(file) {
+    if (/\.(xlf|xliff)$/i.test(file)) {
+        return 'xliff';
+    }
+    if (/\.pot?$/i.test(file)) {
+        return 'po';
+    }
+    return /\.csv$/i.test(file) ? 'csv' : null;
+}
+
+const encodeKey = keyPath => JSON.stringify(keyPath);
+
+function decodeKey(key) {
+    let keyPath;
+    try {
+        keyPath = JSON.parse(key);
+    } catch (error) {
+        keyPath = null;
+    }
+    if (!Array.isArray(keyPath) || keyPath.length === 0 || !keyPath.every(part => typeof part === 'string')) {
+        throw new Error(`Invalid key ${JSON.stringify(key)}`);
+    }
+    return keyPath;
+}
+
+// Units of the given translation files, approved lines only with `all`
+function collectUnits(files, { all = false } = {}) {
+    const units = [];
+    for (const filePath of files) {
+        const state = loadState(filePath);
+        for (const item of walkValues(readJson(filePath))) {
+            const review = reviewState(state, item);
+            if (review === 'approved' && !all) {
+                continue;
+            }
+            units.push({ scene: sceneName(filePath), file: relativePath(filePath), path: item.path, source: item.key, target: item.value, review });
+        }
+    }
+    return units;
+}
+
+// Units grouped by file, in the order they come
+function groupByFile(units) {
+    const files = new Map();
+    for (const unit of units) {
+        if (!files.has(unit.file)) {
+            files.set(unit.file, []);
+        }
+        files.get(unit.file).push(unit);
+    }
+    return files;
+}
+
+// XLIFF
+
+// \r is written as a character reference, XML parsers turn a raw \r\n into \n
+const escapeXml = text => text.replace(/[&<>"\r]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\r': '&#13;' })[char]);
+
+function unescapeXml(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, cdata, entity) => {
+        if (cdata !== undefined) {
+            return cdata;
+        }
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()];
+    });
+}
+
+function xmlAttributes(text) {
+    const attributes = {};
+    for (const [, name, value] of text.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name] = unescapeXml(value);
+    }
+    return attributes;
+}
+
+function toXliff(units) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${SOURCE_LOCALE}" trgLang="${TARGET_LOCALE}">`
+    ];
+    let fileIndex = 0;
+    for (const [file, fileUnits] of groupByFile(units)) {
+        lines.push(`  <file id="f${++fileIndex}" original="${escapeXml(file)}">`);
+        lines.push(`    <notes><note category="scene">${escapeXml(fileUnits[0].scene)}</note></notes>`);
+        fileUnits.forEach((unit, index) => {
+            lines.push(`    <unit id="u${index + 1}">`);
+            lines.push(`      <notes><note category="key">${escapeXml(encodeKey(unit.path))}</note>` +
+                `<note category="review">${unit.review}</note></notes>`);
+            lines.push(`      <segment state="${XLIFF_STATES[unit.review]}">`);
+            lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+            lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+            lines.push('      </segment>');
+            lines.push('    </unit>');
+        });
+        lines.push('  </file>');
+    }
+    lines.push('</xliff>', '');
+    return lines.join('\n');
+}
+
+// Text content of the elements `name` in `xml`, joined (a unit split into several segments)
+function elementText(xml, name, where) {
+    const parts = [];
+    for (const [, attributes, content] of xml.matchAll(new RegExp(`<${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${name}>)`, 'g'))) {
+        if (/<(?!!\[CDATA\[)/.test((content || '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''))) {
+            throw new Error(`Inline markup in <${name}> of ${where} is not supported, edit the text only`);
+        }
+        parts.push({ attributes: xmlAttributes(attributes), text: unescapeXml(content || '') });
+    }
+    return parts;
+}
+
+function parseXliff(text) {
+    if (!/<xliff\b[^>]*version="2\.\d"/.test(text)) {
+        throw new Error('Not an XLIFF 2.0 document');
+    }
+    const units = [];
+    for (const [, fileAttributes, fileContent] of text.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+        const file = xmlAttributes(fileAttributes).original;
+        if (!file) {
+            throw new Error('<file> without an original attribute');
+        }
+        for (const [, unitAttributes, unitContent] of fileContent.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+            const where = `unit ${xmlAttributes(unitAttributes).id} of ${file}`;
+            const notes = Object.fromEntries(elementText(unitContent, 'note', where).map(note => [note.attributes.category, note.text]));
+            if (notes.key === undefined) {
+                throw new Error(`No key note in ${where}`);
+            }
+            const targets = elementText(unitContent, 'target', where);
+            units.push({
+                file,
+                path: decodeKey(notes.key),
+                source: elementText(unitContent, 'source', where).map(part => part.text).join(''),
+                target: targets.length > 0 ? targets.map(part => part.text).join('') : null,
+                review: notes.review || null
+            });
+        }
+    }
+    return units;
+}
+
+// PO
+
+// A PO string, split after every line break the way gettext tools write them
+function poString(text) {
+    const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n\n');
+    const lines = escaped.split('\n').filter((line, index, all) => line !== '' || index === 0 || index < all.length - 1);
+    return lines.length === 1 ? `"${lines[0]}"` : `""\n${lines.map(line => `"${line}"`).join('\n')}`;
+}
+
+function unescapePo(text) {
+    return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' })[char] || char);
+}
+
+// msgctxt is the scene followed by the key, so entries stay unique across scenes
+function toPo(units) {
+    const entries = [
+        [
+            'msgid ""',
+            'msgstr ""',
+            '"Content-Type: text/plain; charset=UTF-8\\n"',
+            `"Language: ${TARGET_LOCALE}\\n"`,
+            `"X-Source-Language: ${SOURCE_LOCALE}\\n"`
+        ].join('\n')
+    ];
+    for (const unit of units) {
+        const lines = [`#. review: ${unit.review}`, `#: ${unit.file}`];
+        // PO editors show fuzzy entries as needing work
+        if (unit.review === 'new' || unit.review === 'machine') {
+            lines.push('#, fuzzy');
+        }
+        lines.push(`msgctxt ${poString(`${unit.scene} ${encodeKey(unit.path)}`)}`);
+        lines.push(`msgid ${poString(unit.source)}`);
+        lines.push(`msgstr ${poString(unit.target)}`);
+        entries.push(lines.join('\n'));
+    }
+    return `${entries.join('\n\n')}\n`;
+}
+
+function parsePo(text) {
+    const units = [];
+    let entry = {};
+    let field = null;
+    const finish = () => {
+        if (entry.msgid !== undefined && entry.msgid !== '') {
+            if (entry.msgctxt === undefined) {
+                throw new Error(`Entry without msgctxt: ${JSON.stringify(entry.msgid)}`);
+            }
+            const separator = entry.msgctxt.indexOf(' ');
+            units.push({
+                scene: entry.msgctxt.slice(0, separator),
+                path: decodeKey(entry.msgctxt.slice(separator + 1)),
+                source: entry.msgid,
+                target: entry.msgstr === undefined ? null : entry.msgstr,
+                review: entry.review || null
+            });
+        }
+        entry = {};
+        field = null;
+    };
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        const keyword = trimmed.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+        if (trimmed === '' || trimmed.startsWith('#~')) {
+            finish();
+        } else if (trimmed.startsWith('#')) {
+            if (field === 'msgstr') {
+                finish();
+            }
+            const review = trimmed.match(/^#\.\s*review:\s*(\S+)/);
+            if (review) {
+                entry.review = review[1];
+            }
+        } else if (keyword) {
+            if (keyword[1] !== 'msgctxt' && keyword[1] !== 'msgid' && keyword[1] !== 'msgstr') {
+                throw new Error(`Line ${index + 1}: plural forms are not supported`);
+            }
+            if (keyword[1] !== 'msgstr' && field === 'msgstr') {
+                finish();
+            }
+            field = keyword[1];
+            entry[field] = unescapePo(keyword[2]);
+        } else if (/^".*"$/.test(trimmed) && field) {
+            entry[field] += unescapePo(trimmed.slice(1, -1));
+        } else {
+            throw new Error(`Line ${index + 1}: unexpected ${JSON.stringify(trimmed)}`);
+        }
+    });
+    finish();
+    return units;
+}
+
+// CSV (RFC 4180), with a byte order mark so spreadsheets open it as UTF-8
+
+function csvField(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(units) {
+    const rows = [CSV_COLUMNS, ...units.map(unit => [unit.scene, encodeKey(unit.path), unit.source, unit.target, unit.review])];
+    return `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            rows.push([...row, field]);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        rows.push([...row, field]);
+    }
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// Columns are found by their header, spreadsheets may reorder or add some
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const missing = CSV_COLUMNS.filter(name => name !== 'review' && !columns.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Missing CSV columns: ${missing.join(', ')}`);
+    }
+    const cell = (cells, name) => columns.includes(name) ? cells[columns.indexOf(name)] : undefined;
+    return rows.map(cells => ({
+        scene: cell(cells, 'scene'),
+        path: decodeKey(cell(cells, 'key')),
+        source: cell(cells, 'source'),
+        target: cell(cells, 'target') === undefined ? null : cell(cells, 'target'),
+        review: cell(cells, 'review') || null
+    }));
+}
+
+function serializeUnits(format, units) {
+    return { xliff: toXliff, po: toPo, csv: toCsv }[format](units);
+}
+
+function parseUnits(format, text) {
+    return { xliff: parseXliff, po: parsePo, csv: parseCsv }[format](text);
+}
+
+// Editors and spreadsheets may save line breaks their own way, the key is what identifies the line
+const sameLines = text => String(text).replace(/\r\n?/g, '\n');
+
+// Translation file a unit belongs to, null when it isn't one of the files below translation/
+// The file and scene come from the imported document, so they are resolved against the repository
+// and never against the current directory, and only ever name an existing translation file
+function unitFile(unit, translationFiles) {
+    const target = unit.file || unit.scene || '';
+    let filePath = path.resolve(ROOT_DIR, target);
+    if (/^\d+$/.test(target)) {
+        filePath = path.join(TRANSLATION_DIR, 'scenes', target, `${TARGET_LOCALE}.json`);
+    } else if (target === 'names' || target === 'titles') {
+        filePath = path.join(TRANSLATION_DIR, target, `${TARGET_LOCALE}.json`);
+    }
+    return translationFiles.has(filePath) ? filePath : null;
+}
+
+// Value at a key path through own properties only, undefined as soon as a step is missing:
+// a path like ["constructor", "name"] in an edited file must not reach into Object.prototype
+function ownValueAt(data, keyPath) {
+    let node = data;
+    for (const key of keyPath) {
+        if (typeof node !== 'object' || node === null || !Object.prototype.hasOwnProperty.call(node, key)) {
+            return undefined;
+        }
+        node = node[key];
+    }
+    return node;
+}
+
+// Write the targets of imported units into the translation files
+// Returns { changed, unchanged, skipped, rejected }, rejected units carry a reason and are not written;
+// changed values are recorded as manual edits (an approved line needs a new review)
+function importUnits(units, { dryRun = false } = {}) {
+    const result = { changed: [], unchanged: 0, skipped: 0, rejected: [] };
+    const files = new Map();
+    const seen = new Map();
+    const reject = (unit, reason) => result.rejected.push({ ...unit, reason });
+    const translationFiles = new Set(findTranslationFiles(TRANSLATION_DIR));
+
+    for (const unit of units) {
+        const filePath = unitFile(unit, translationFiles);
+        if (!filePath) {
+            reject(unit, `unknown scene ${unit.file || unit.scene}`);
+            continue;
+        }
+        if (!files.has(filePath)) {
+            files.set(filePath, { data: readJson(filePath), paths: [] });
+        }
+        const { data, paths } = files.get(filePath);
+        const id = `${filePath}\n${encodeKey(unit.path)}`;
+        const current = ownValueAt(data, unit.path);
+        if (typeof current !== 'string') {
+            reject(unit, `key not found in ${relativePath(filePath)}, the source may have changed upstream`);
+        } else if (sameLines(unit.source) !== sameLines(unit.path[unit.path.length - 1])) {
+            reject(unit, 'source does not match the key');
+        } else if (unit.target === null || unit.target === '') {
+            result.skipped++;
+        } else if (seen.has(id) && seen.get(id) !== unit.target) {
+            reject(unit, 'listed twice with different targets');
+        } else if (unit.target === current) {
+            result.unchanged++;
+        } else {
+            const problems = validateLine(unit.source, unit.target);
+            if (problems.length > 0) {
+                reject(unit, problems.map(problem => problem.message).join(', '));
+                continue;
+            }
+            seen.set(id, unit.target);
+            result.changed.push({ ...unit, file: relativePath(filePath), previous: current });
+            unit.path.slice(0, -1).reduce((node, key) => node[key], data)[unit.path[unit.path.length - 1]] = unit.target;
+            paths.push(unit.path);
+        }
+    }
+
+    if (!dryRun) {
+        for (const [filePath, { data, paths }] of files) {
+            if (paths.length === 0) {
+                continue;
+            }
+            writeJson(filePath, data);
+            saveState(filePath, recordValues(loadState(filePath) || createState(), data, paths, MANUAL));
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    FORMATS,
+    collectUnits,
+    formatOf,
+    importUnits,
+    parseUnits,
+    serializeUnits
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+
+// Ledger of the lines a translation run could not translate, in failed-lines.json
+// Failed keys get no state, so the next run picks them up again anyway; the ledger says which ones
+// and why ({ path, key, code, message, failures, firstFailedAt, lastFailedAt } per file),
+// and `translate-values.js --retry-failed` only goes through the files it lists
+// A line leaves the ledger once it has been translated
+const DEFAULT_LEDGER_FILE = path.join(ROOT_DIR, 'failed-lines.json');
+
+function createFailedLinesLedger(filePath = DEFAULT_LEDGER_FILE) {
+    // file -> Map of JSON key path -> entry
+    const files = new Map();
+    if (fs.existsSync(filePath)) {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (content.version !== 1 || typeof content.files !== 'object') {
+            throw new Error(`Unsupported failed lines file ${filePath}`);
+        }
+        for (const [file, entries] of Object.entries(content.files)) {
+            files.set(file, new Map(entries.map(entry => [JSON.stringify(entry.path), entry])));
+        }
+    }
+
+    const record = (file, keyPath, error) => {
+        if (!files.has(file)) {
+            files.set(file, new Map());
+        }
+        const id = JSON.stringify(keyPath);
+        const now = new Date().toISOString();
+        const previous = files.get(file).get(id);
+        files.get(file).set(id, {
+            path: keyPath,
+            key: keyPath[keyPath.length - 1],
+            code: error.code || 'error',
+            message: error.message,
+            failures: previous ? previous.failures + 1 : 1,
+            firstFailedAt: previous ? previous.firstFailedAt : now,
+            lastFailedAt: now
+        });
+    };
+
+    const clear = (file, keyPath) => {
+        const entries = files.get(file);
+        if (entries) {
+            entries.delete(JSON.stringify(keyPath));
+            if (entries.size === 0) {
+                files.delete(file);
+            }
+        }
+    };
+
+    const size = () => [...files.values()].reduce((sum, entries) => sum + entries.size, 0);
+
+    // Removes the file once nothing has failed anymore
+    const save = () => {
+        if (files.size === 0) {
+            fs.rmSync(filePath, { force: true });
+            return;
+        }
+        const content = { version: 1, files: {} };
+        for (const [file, entries] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+            content.files[file] = [...entries.values()];
+        }
+        fs.writeFileSync(filePath, JSON.stringify(content, null, 2), 'utf8');
+    };
+
+    return {
+        filePath,
+        files: () => new Set(files.keys()),
+        record,
+        clear,
+        size,
+        save
+    };
+}
+
+module.exports = {
+    DEFAULT_LEDGER_FILE,
+    createFailedLinesLedger
+};
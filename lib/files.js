@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+const { DEFAULT_LOCALE } = require('./locales');
+
+// Layout of the translation directory, one file per locale (see lib/locales.js)
+// translation/names/<locale>.json, translation/titles/<locale>.json, translation/scenes/<id>/<locale>.json
+// Dotfiles next to them (.en.state.json) are sidecars, never translation files
+const TRANSLATION_DIR = path.join(ROOT_DIR, 'translation');
+// The locale the command line tools translate into and check
+const TARGET_LOCALE = DEFAULT_LOCALE;
+// The locale upstream's files are kept in, the Chinese originals (sync-upstream.js)
+const UPSTREAM_LOCALE = 'zh_Hans';
+
+function isTranslationFile(name, locale = TARGET_LOCALE) {
+    return name === `${locale}.json`;
+}
+
+// Every JSON file below a path (or the path itself), sidecars excluded
+function findJsonFiles(target, filter = name => !name.startsWith('.') && name.endsWith('.json')) {
+    if (!fs.statSync(target).isDirectory()) {
+        return [target];
+    }
+    const files = [];
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+        const fullPath = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...findJsonFiles(fullPath, filter));
+        } else if (filter(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function findTranslationFiles(dirPath = TRANSLATION_DIR, locale = TARGET_LOCALE) {
+    return findJsonFiles(dirPath, name => isTranslationFile(name, locale));
+}
+
+// Translation files still to be written: directories with only upstream's file, scenes nobody has translated yet
+function findMissingTranslationFiles(dirPath = TRANSLATION_DIR) {
+    return findTranslationFiles(dirPath, UPSTREAM_LOCALE)
+        .map(filePath => path.join(path.dirname(filePath), `${TARGET_LOCALE}.json`))
+        .filter(filePath => !fs.existsSync(filePath));
+}
+
+// A translation file from what people type on the command line:
+// a path, a scene id (10000101), or "names"/"titles"
+function resolveTranslationFile(target) {
+    let filePath = path.resolve(target);
+    if (/^\d+$/.test(target)) {
+        filePath = path.join(TRANSLATION_DIR, 'scenes', target, `${TARGET_LOCALE}.json`);
+    } else if (target === 'names' || target === 'titles') {
+        filePath = path.join(TRANSLATION_DIR, target, `${TARGET_LOCALE}.json`);
+    } else if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, `${TARGET_LOCALE}.json`);
+    }
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No translation file for ${target}`);
+    }
+    return filePath;
+}
+
+// Scene id of a translation file path as the command line tools take it, "names"/"titles", the path for anything else
+function sceneName(file) {
+    const match = relativePath(file).match(/^translation\/(?:scenes\/(\d+)|(names|titles))\/[^/]+\.json$/);
+    return match ? match[1] || match[2] : relativePath(file);
+}
+
+// Repository-relative path with forward slashes, as stored in reports and state files
+function relativePath(filePath) {
+    return path.relative(ROOT_DIR, filePath).replace(/\\/g, '/');
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Translation files are written with 4 space indentation
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4), 'utf8');
+}
+
+module.exports = {
+    TARGET_LOCALE,
+    TRANSLATION_DIR,
+    UPSTREAM_LOCALE,
+    findJsonFiles,
+    findMissingTranslationFiles,
+    findTranslationFiles,
+    isTranslationFile,
+    readJson,
+    relativePath,
+    resolveTranslationFile,
+    sceneName,
+    writeJson
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+
+// Glossary of canonical English renderings for names and terms
+// Sources, highest priority first:
+// - glossary.json "terms" (user-editable, mecha/unit/place names and overrides)
+// - speakerNames and teamNames from translation/names/en.json
+const DEFAULT_GLOSSARY_FILE = path.join(ROOT_DIR, 'glossary.json');
+const DEFAULT_NAMES_FILE = path.join(ROOT_DIR, 'translation', 'names', 'en.json');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Names file values carry markup and MTL artifacts like "Lily." - keep just the name
+function cleanName(text) {
+    return text.replace(/<[^>]*>/g, '').replace(/\.+$/, '').trim();
+}
+
+// Only single proper names from the names file become terms
+// Groups ("める＆ラミ", "カラフルブーケ一同"), numbered extras ("女子生徒１") and descriptions ("男性の声", "A shy female student") don't
+function isNameTerm(source, english) {
+    if (source.length < 2 || !/[a-zA-Z]/.test(english)) {
+        return false; // single kanji names match inside too many ordinary words
+    }
+    if (!english.split(/\s+/).every(word => /^[A-Z]/.test(word))) {
+        return false;
+    }
+    if (/%user[^%]*na%/i.test(source) || /[＆&、,，？?！!の\s\d０-９]|一同/.test(source)) {
+        return false;
+    }
+    // Hiragana-only names (める, うるう) collide with verb endings, list them in glossary.json instead
+    return !/^[぀-ゟ]+$/.test(source);
+}
+
+function loadJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not load ${filePath}:`, error.message);
+        return null;
+    }
+}
+
+function createGlossary({ glossaryFile = DEFAULT_GLOSSARY_FILE, namesFile = DEFAULT_NAMES_FILE } = {}) {
+    const glossary = loadJson(glossaryFile) || {};
+    const names = loadJson(namesFile) || {};
+    const exclude = new Set(glossary.exclude || []);
+    const terms = new Map();
+
+    for (const [source, target] of Object.entries(glossary.terms || {})) {
+        terms.set(source, target);
+    }
+
+    // Plain names first so "シリウスシュガー" wins over the value of its <color=...> variant
+    const nameEntries = [
+        ...Object.entries(names.speakerNames || {}),
+        ...Object.entries(names.teamNames || {})
+    ].map(([source, english]) => [cleanName(source), cleanName(english), source === cleanName(source)]);
+    nameEntries.sort((a, b) => b[2] - a[2]);
+
+    for (const [source, english] of nameEntries) {
+        if (!terms.has(source) && !exclude.has(source) && isNameTerm(source, english)) {
+            terms.set(source, english);
+        }
+    }
+
+    // Longest first so "メイズシフター" is matched before "メイズ"
+    const sources = Array.from(terms.keys()).sort((a, b) => b.length - a.length);
+    // Markup (<r=...>, <color=...>) and fullwidth bracket tags 〈...〉 are never touched
+    const skipPattern = '<[^>]*>|〈[^〉]*〉';
+    const termPattern = sources.length > 0
+        ? new RegExp(`${skipPattern}|${sources.map(escapeRegExp).join('|')}`, 'g')
+        : null;
+
+    // Terms appearing in a source line (outside markup)
+    function findTerms(text) {
+        const found = new Set();
+        if (termPattern) {
+            for (const match of text.matchAll(termPattern)) {
+                if (terms.has(match[0])) {
+                    found.add(match[0]);
+                }
+            }
+        }
+        return Array.from(found);
+    }
+
+    // Protection rule for the token engine (lib/protect.js)
+    // Terms become ___TERM0___ placeholders and come back as their canonical English
+    // Markup and 〈...〉 are protected by earlier rules, so the plain term list is enough
+    function rule() {
+        return {
+            name: 'glossary',
+            pattern: sources.length > 0 ? new RegExp(sources.map(escapeRegExp).join('|'), 'g') : /(?!)/g,
+            strategy: 'opaque',
+            token: 'TERM',
+            restoreAs: source => terms.get(source)
+        };
+    }
+
+    // Terms present in the source whose canonical English is missing from the translation
+    function checkLine(source, translated) {
+        const lowerTranslated = (translated || '').toLowerCase();
+        return findTerms(source)
+            .filter(term => !lowerTranslated.includes(terms.get(term).toLowerCase()))
+            .map(term => ({ source: term, target: terms.get(term) }));
+    }
+
+    return {
+        get size() {
+            return terms.size;
+        },
+        terms,
+        findTerms,
+        rule,
+        checkLine
+    };
+}
+
+module.exports = {
+    DEFAULT_GLOSSARY_FILE,
+    createGlossary
+};
@@ -0,0 +1,75 @@
+const { DEFAULT_LOCALE, FILE_ALIASES, LOCALES, toLocale } = require('./locales');
+
+// Request and response helpers shared by the routers
+
+// Language tags Accept-Language is matched against
+const LANGUAGE_TAGS = ['en', 'zh-Hans', 'zh-CN', 'zh'];
+// What a locale or locale file name may look like at all: en, zh_Hans, zh-CN, en.json
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(?:[_-][A-Za-z0-9]{2,8}){0,2}$/;
+const LOCALE_FILE_PATTERN = /^[A-Za-z]{2,3}(?:[_-][A-Za-z0-9]{2,8}){0,2}\.json$/;
+
+// Every error response has the same shape: { error: <message>, code: <machine-readable code>, ...details }
+function sendError(res, status, code, message, details = {}) {
+    res.status(status).json({ error: message, code, ...details });
+}
+
+// Locale named by a file (en.json, zh_Hans.json), undefined if the name is no locale
+function fileLocale(file) {
+    if (!file.endsWith('.json')) {
+        return undefined;
+    }
+    const name = file.slice(0, -'.json'.length);
+    return FILE_ALIASES[name] || (LOCALES.includes(name) ? name : undefined);
+}
+
+// The locale of a request: ?locale=, then the file name if the route has one, then Accept-Language
+// null when the request names a locale we don't have
+function pickLocale(req, res, file) {
+    if (req.query.locale !== undefined) {
+        return toLocale(req.query.locale);
+    }
+    if (file) {
+        return fileLocale(file) || null;
+    }
+    res.vary('Accept-Language');
+    return toLocale(req.acceptsLanguages(LANGUAGE_TAGS) || DEFAULT_LOCALE);
+}
+
+// Send a prebuilt body (JSON unless told otherwise) with validators so clients can cache it
+// ETag/If-None-Match and Last-Modified/If-Modified-Since are answered with 304 by Express (req.fresh)
+// no-cache: clients keep their copy but check it with the server before using it
+function sendCached(req, res, { body, hash, lastModified, type = 'json' }) {
+    res.set({
+        ETag: `"${hash}"`,
+        'Cache-Control': 'no-cache'
+    });
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+    res.type(type).send(body);
+}
+
+// pickLocale for routes: answers 400 for malformed locales and 404 for ones we don't have, returns null then
+function requireLocale(req, res, file) {
+    const { locale } = req.query;
+    if (locale !== undefined && (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale))) {
+        sendError(res, 400, 'invalid_locale', 'locale must be a single language tag like en or zh_Hans');
+        return null;
+    }
+    if (file !== undefined && !LOCALE_FILE_PATTERN.test(file)) {
+        sendError(res, 400, 'invalid_locale_file', 'File name must be <locale>.json, e.g. en.json');
+        return null;
+    }
+    const picked = pickLocale(req, res, file);
+    if (!picked) {
+        sendError(res, 404, 'unknown_locale', `Unknown locale ${locale !== undefined ? locale : file}`, { locales: LOCALES });
+    }
+    return picked;
+}
+
+module.exports = {
+    pickLocale,
+    requireLocale,
+    sendError,
+    sendCached
+};
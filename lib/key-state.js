@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./files');
+
+// Per-key translation state, stored in a sidecar next to each translation file
+// translation/scenes/<id>/en.json -> translation/scenes/<id>/.en.state.json
+// The sidecar mirrors the nesting of the translation file, every string value gets an entry:
+// { sourceHash, valueHash, backend, model, date, review }
+// - sourceHash no longer matching the key: the source changed, the value is retranslated
+// - valueHash no longer matching the value: someone edited it by hand, it is never overwritten
+// - review: 'machine' (raw backend output), 'edited' (changed by hand) or 'approved' (proofread, locked)
+//   approved lines are never retranslated, whatever their source or value hash says
+// - removedUpstream: date the key disappeared from the upstream repository (set by sync-upstream.js)
+const STATE_VERSION = 2;
+
+const REVIEW_STATES = ['machine', 'edited', 'approved'];
+
+// Backend names for values that weren't produced by a translation run
+const MANUAL = 'manual';
+// Files the old whole-file tracker (translated-files.json) listed as translated, taken over as they were
+const LEGACY = 'legacy';
+// Value imported from upstream as is, for keys upstream removed before we translated them
+const UPSTREAM = 'upstream';
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text, 'utf8').digest('hex').slice(0, 12);
+}
+
+function stateFilePath(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath, '.json')}.state.json`);
+}
+
+function isEntry(value) {
+    return typeof value === 'object' && value !== null && typeof value.sourceHash === 'string';
+}
+
+// Sidecar of a translation file, null when it has none yet
+function loadState(filePath) {
+    const stateFile = stateFilePath(filePath);
+    if (!fs.existsSync(stateFile)) {
+        return null;
+    }
+    const state = readJson(stateFile);
+    if (state.version === 1) {
+        upgradeState(state);
+    }
+    if (state.version !== STATE_VERSION || typeof state.keys !== 'object' || state.keys === null) {
+        throw new Error(`Unsupported state file ${stateFile}`);
+    }
+    return state;
+}
+
+// Version 1 only had a reviewed flag
+function upgradeState(state) {
+    for (const { entry } of walkEntries(state.keys || {})) {
+        entry.review = entry.reviewed ? 'approved' : entry.backend === MANUAL ? 'edited' : 'machine';
+        delete entry.reviewed;
+    }
+    state.version = STATE_VERSION;
+    return state;
+}
+
+function saveState(filePath, state) {
+    writeJson(stateFilePath(filePath), state);
+}
+
+function createState() {
+    return { version: STATE_VERSION, keys: {} };
+}
+
+// Every string value of a translation file with its key path
+function walkValues(data, parents = []) {
+    const values = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (typeof value === 'object' && value !== null) {
+            values.push(...walkValues(value, [...parents, key]));
+        } else if (typeof value === 'string') {
+            values.push({ path: [...parents, key], key, value });
+        }
+    }
+    return values;
+}
+
+// Every entry of a state with its key path
+function walkEntries(keys, parents = []) {
+    const entries = [];
+    for (const [key, value] of Object.entries(keys)) {
+        if (isEntry(value)) {
+            entries.push({ path: [...parents, key], entry: value });
+        } else if (typeof value === 'object' && value !== null) {
+            entries.push(...walkEntries(value, [...parents, key]));
+        }
+    }
+    return entries;
+}
+
+function getEntry(state, keyPath) {
+    let node = state.keys;
+    for (const key of keyPath) {
+        if (typeof node !== 'object' || node === null || !Object.prototype.hasOwnProperty.call(node, key)) {
+            return null;
+        }
+        node = node[key];
+    }
+    return isEntry(node) ? node : null;
+}
+
+function setEntry(state, keyPath, entry) {
+    let node = state.keys;
+    keyPath.slice(0, -1).forEach(key => {
+        if (typeof node[key] !== 'object' || node[key] === null || isEntry(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    });
+    node[keyPath[keyPath.length - 1]] = entry;
+}
+
+function deleteEntry(state, keyPath) {
+    const parents = [state.keys];
+    for (const key of keyPath.slice(0, -1)) {
+        parents.push(parents[parents.length - 1][key]);
+    }
+    delete parents[parents.length - 1][keyPath[keyPath.length - 1]];
+    // Drop sections that became empty
+    for (let i = parents.length - 1; i > 0 && Object.keys(parents[i]).length === 0; i--) {
+        delete parents[i - 1][keyPath[i - 1]];
+    }
+}
+
+function createEntry(key, value, backend, model = null) {
+    const entry = {
+        sourceHash: hashText(key),
+        valueHash: hashText(value),
+        backend
+    };
+    if (model) {
+        entry.model = model;
+    }
+    entry.date = new Date().toISOString();
+    entry.review = backend === MANUAL ? 'edited' : 'machine';
+    return entry;
+}
+
+function isApproved(entry) {
+    return Boolean(entry) && entry.review === 'approved';
+}
+
+// Compare a translation file with its state
+// pending: keys to translate (new, or their source changed), never approved ones
+// edited: values changed by hand since they were recorded
+// removed: entries whose key is gone from the file
+function planFile(data, state) {
+    const plan = { pending: [], edited: [], removed: [], upToDate: 0 };
+    const seen = new Set();
+    for (const item of walkValues(data)) {
+        seen.add(JSON.stringify(item.path));
+        const entry = state ? getEntry(state, item.path) : null;
+        if ((!entry || entry.sourceHash !== hashText(item.key)) && !isApproved(entry)) {
+            plan.pending.push(item);
+        } else if (entry.valueHash !== hashText(item.value)) {
+            plan.edited.push(item);
+        } else {
+            plan.upToDate++;
+        }
+    }
+    if (state) {
+        plan.removed = walkEntries(state.keys).filter(({ path: keyPath }) => !seen.has(JSON.stringify(keyPath)));
+    }
+    return plan;
+}
+
+// Bring a state in line with a plan without translating anything:
+// hand-edited values are recorded as manual and entries of removed keys are dropped
+// An edit after approval needs a new review
+function applyEdits(state, plan) {
+    for (const item of plan.edited) {
+        setEntry(state, item.path, createEntry(item.key, item.value, MANUAL));
+    }
+    plan.removed.forEach(({ path: keyPath }) => deleteEntry(state, keyPath));
+    return state;
+}
+
+// Flag a key that upstream no longer has, keeping its value
+// Keys without state get an entry so translation runs don't spend requests on them
+function markRemoved(state, keyPath, value) {
+    const entry = getEntry(state, keyPath) || createEntry(keyPath[keyPath.length - 1], value, UPSTREAM);
+    if (!entry.removedUpstream) {
+        setEntry(state, keyPath, { ...entry, removedUpstream: new Date().toISOString() });
+        return true;
+    }
+    return false;
+}
+
+// Clear the flag when upstream brings a key back
+function clearRemoved(state, keyPath) {
+    const entry = getEntry(state, keyPath);
+    if (!entry || !entry.removedUpstream) {
+        return false;
+    }
+    const { removedUpstream, ...rest } = entry;
+    setEntry(state, keyPath, rest);
+    return true;
+}
+
+function valueAt(data, keyPath) {
+    return keyPath.reduce((node, key) => node[key], data);
+}
+
+// Record freshly written values
+function recordValues(state, data, keyPaths, backend, model = null) {
+    for (const keyPath of keyPaths) {
+        setEntry(state, keyPath, createEntry(keyPath[keyPath.length - 1], valueAt(data, keyPath), backend, model));
+    }
+    return state;
+}
+
+// Lock the current value of a key, recording it first when it has no entry or was edited since
+function approveValue(state, data, keyPath, reviewer = null) {
+    const value = valueAt(data, keyPath);
+    let entry = getEntry(state, keyPath);
+    if (!entry || entry.sourceHash !== hashText(keyPath[keyPath.length - 1]) || entry.valueHash !== hashText(value)) {
+        entry = createEntry(keyPath[keyPath.length - 1], value, MANUAL);
+    }
+    const approved = { ...entry, review: 'approved', reviewDate: new Date().toISOString() };
+    if (reviewer) {
+        approved.reviewer = reviewer;
+    }
+    setEntry(state, keyPath, approved);
+    return approved;
+}
+
+// Back to 'machine' or 'edited' so the line shows up for review again
+function unapproveValue(state, keyPath) {
+    const entry = getEntry(state, keyPath);
+    if (!isApproved(entry)) {
+        return false;
+    }
+    const { reviewDate, reviewer, ...rest } = entry;
+    setEntry(state, keyPath, { ...rest, review: entry.backend === MANUAL ? 'edited' : 'machine' });
+    return true;
+}
+
+// Review state of a value: 'new' when there's no up to date entry to go by
+function reviewState(state, item) {
+    const entry = state ? getEntry(state, item.path) : null;
+    if (isApproved(entry)) {
+        return 'approved';
+    }
+    if (!entry || entry.sourceHash !== hashText(item.key)) {
+        return 'new';
+    }
+    return entry.valueHash === hashText(item.value) ? entry.review : 'edited';
+}
+
+module.exports = {
+    LEGACY,
+    MANUAL,
+    REVIEW_STATES,
+    UPSTREAM,
+    applyEdits,
+    approveValue,
+    clearRemoved,
+    createState,
+    getEntry,
+    hashText,
+    isApproved,
+    loadState,
+    markRemoved,
+    planFile,
+    recordValues,
+    reviewState,
+    saveState,
+    stateFilePath,
+    unapproveValue,
+    valueAt,
+    walkEntries,
+    walkValues
+};
@@ -0,0 +1,258 @@
+const { translateKey } = require('./pipeline');
+const { isHiraganaName, romanize } = require('./romanize');
+
+// Speaker names, team names, titles and subtitles: short labels that don't read like dialogue
+// (translation/names/en.json and translation/titles/en.json), translated by rules before any backend
+// - patterns: 序章3話 -> "Prologue Episode 3", 2節5話 -> "Section 2 Episode 5", スポット「X」 -> "Spotlight 'X'",
+//   名前[二つ名] -> "Name [Epithet]", groups (める＆ラミ), numbered extras (女子生徒１), "Xの声"
+// - names: the glossary and the names the titles already use come first, hiragana names are romanized
+//   (lib/romanize.js), anything else goes to the backend
+// - no trailing period, no spaces left inside <color> tags
+// checkLabels() reports names that are rendered differently in different places
+
+const NAME_SECTIONS = ['speakerNames', 'teamNames'];
+const TITLE_SECTIONS = ['titles', 'subTitles'];
+const LABEL_FILE_PATTERN = /^translation\/(names|titles)\//;
+
+// Honorific words, not given names: おばあさん, おばちゃん
+const HONORIFIC_ENDING = /(さん|ちゃん|くん|さま)$/;
+
+const GROUP_SEPARATOR = /\s*([＆&、，,])\s*/;
+
+// Numbers are matched and written with ASCII digits: 女子生徒１ -> "Female Student 1"
+const toAsciiDigits = text => text.replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+
+// Strip a trailing period the backend added ("Lily.", "A dignified woman."), ellipses stay
+function tidyLabel(source, value) {
+    let result = value.replace(/\s+/g, ' ').trim();
+    if (/[^.]\.$/.test(result) && !/[。．.]$/.test(source.trim())) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Leading and trailing <color>/<material> tags of a key: '<color=#ffbcd6>生徒会</material></color>'
+// Spaces between the tags and the text are dropped: '<color=#e4a8a5> Chaos Maiden </material> </color>'
+function splitTags(key) {
+    const match = key.match(/^((?:\s*<[^>]+>)*)([\s\S]*?)((?:\s*<\/?[^>]+>)*)\s*$/);
+    const tags = text => text.replace(/\s+/g, '');
+    return { prefix: tags(match[1]), text: match[2].trim(), suffix: tags(match[3]) };
+}
+
+// Label rules, tried in order; render() builds the value from its parts through the helpers:
+// name(source) for character names, text(source) for anything else
+const RULES = [
+    {
+        sections: [...NAME_SECTIONS, ...TITLE_SECTIONS],
+        pattern: /^[？?！!]+$/,
+        render: m => m[0].replace(/？/g, '?').replace(/！/g, '!')
+    },
+    { sections: TITLE_SECTIONS, pattern: /^序章(\d+)話$/, render: m => `Prologue Episode ${m[1]}` },
+    { sections: TITLE_SECTIONS, pattern: /^(\d+)節(\d+)話$/, render: m => `Section ${m[1]} Episode ${m[2]}` },
+    { sections: TITLE_SECTIONS, pattern: /^(\d+)章(\d+)話$/, render: m => `Chapter ${m[1]} Episode ${m[2]}` },
+    { sections: TITLE_SECTIONS, pattern: /^(\d+)章EP$/i, render: m => `Chapter ${m[1]} EP` },
+    { sections: TITLE_SECTIONS, pattern: /^(\d+)話$/, render: m => `Episode ${m[1]}` },
+    { sections: TITLE_SECTIONS, pattern: /^スポット「(.+)」$/, render: async (m, { name }) => `Spotlight '${await name(m[1])}'` },
+    {
+        sections: TITLE_SECTIONS,
+        pattern: /^([^[\]]+)\[(.+)\]$/,
+        render: async (m, { name, text }) => `${await name(m[1])} [${await text(m[2])}]`
+    },
+    {
+        sections: NAME_SECTIONS,
+        pattern: /^(？+|\?+)（(.+)）$/,
+        render: async (m, { name }) => `${'?'.repeat(m[1].length)} (${await name(m[2])})`
+    },
+    {
+        sections: NAME_SECTIONS,
+        pattern: /^(.+)の声$/,
+        render: async (m, { name }) => `${await name(m[1])}'s voice`
+    },
+    {
+        // Every member as they are named on their own: める＆ラミ -> "Meru & Rami"
+        sections: NAME_SECTIONS,
+        pattern: /^[^＆&、，,]+(?:\s*[＆&、，,]\s*[^＆&、，,]+)+$/,
+        render: async (m, { name }) => {
+            const parts = m[0].split(GROUP_SEPARATOR);
+            const rendered = await Promise.all(parts.map((part, i) => i % 2 === 0 ? name(part) : null));
+            return parts.map((part, i) => i % 2 === 0 ? rendered[i] : /[＆&]/.test(part) ? ' & ' : ', ').join('');
+        }
+    },
+    {
+        // Numbered extras share the rendering of the base: 女子生徒１ -> "Female Student 1"
+        sections: NAME_SECTIONS,
+        pattern: /^(.*[^\d\s])\s*(\d+)$/,
+        render: async (m, { text }) => `${await text(m[1])} ${m[2]}`
+    }
+];
+
+// Names a key should be rendered with: glossary terms, then the names the titles use
+// (スポット「桃園める」 = Spotlight 'Meru Momozono', 桃園める[...] = Meru Momozono [...])
+function collectKnownNames({ glossary = null, titles = null } = {}) {
+    const known = new Map();
+    for (const [source, target] of Object.entries(titles || {}).flatMap(([, section]) => Object.entries(section || {}))) {
+        if (typeof target !== 'string') {
+            continue;
+        }
+        const spot = source.match(/^スポット「(.+)」$/);
+        const spotValue = target.match(/^Spotlight '(.+)'$/);
+        const card = source.match(/^([^[\]]+)\[(.+)\]$/);
+        const cardValue = target.match(/^([^[\]]+?) \[(.+)\]$/);
+        if (spot && spotValue && !known.has(spot[1])) {
+            known.set(spot[1], spotValue[1]);
+        } else if (card && cardValue && !known.has(card[1])) {
+            known.set(card[1], cardValue[1]);
+        }
+    }
+    if (glossary) {
+        for (const [source, target] of glossary.terms) {
+            known.set(source, target);
+        }
+    }
+    return known;
+}
+
+// Translate one key of the names or titles file, same signature as translateKey for translateObjectValues
+// options.knownNames comes from collectKnownNames
+async function translateLabel(key, translator, options = {}, keyPath = [key]) {
+    const section = keyPath.length > 1 ? keyPath[0] : null;
+    const known = options.knownNames || new Map();
+    const { prefix, text: label, suffix } = splitTags(key);
+
+    const text = async source => tidyLabel(source, await translateKey(source, translator, options));
+    const name = async (source) => {
+        const plain = source.trim();
+        if (known.has(plain)) {
+            return known.get(plain);
+        }
+        if (isHiraganaName(plain) && !HONORIFIC_ENDING.test(plain)) {
+            return romanize(plain);
+        }
+        return text(plain);
+    };
+
+    let value = null;
+    for (const rule of RULES) {
+        const match = rule.sections.includes(section) && toAsciiDigits(label).match(rule.pattern);
+        if (match) {
+            value = await rule.render(match, { name, text });
+            break;
+        }
+    }
+    if (value === null) {
+        value = NAME_SECTIONS.includes(section) ? await name(label) : await text(label);
+    }
+    return `${prefix}${value}${suffix}`;
+}
+
+// Repository-relative path of the names or titles file
+function isLabelFile(file) {
+    return LABEL_FILE_PATTERN.test(file);
+}
+
+// Label text without markup and trailing periods, for comparing renderings
+function plainLabel(text) {
+    return splitTags(text).text.replace(/\s+/g, ' ').replace(/([^.])\.$/, '$1').trim();
+}
+
+// Names rendered differently in different places of the names and titles files
+// Issues: { check, section, key, value, expected, message }
+// - variant: the same name (with or without <color> tags) translated two ways
+// - group: a member of a group rendered differently than on their own
+// - title: the same character named differently in two titles
+// - speaker: a speaker name missing from the titles that carry the character's full name
+// - punctuation: a name or title ending with a period
+function checkLabels({ names = {}, titles = {} } = {}) {
+    const issues = [];
+    const entries = [];
+    for (const section of NAME_SECTIONS) {
+        for (const [key, value] of Object.entries(names[section] || {})) {
+            entries.push({ section, key, value, source: splitTags(key).text, english: plainLabel(value) });
+        }
+    }
+
+    const canonical = new Map();
+    for (const entry of entries) {
+        const first = canonical.get(entry.source);
+        if (!first) {
+            canonical.set(entry.source, entry);
+        } else if (first.english.toLowerCase() !== entry.english.toLowerCase()) {
+            issues.push({
+                check: 'variant', section: entry.section, key: entry.key, value: entry.value, expected: first.english,
+                message: `"${entry.source}" is "${entry.english}" here and "${first.english}" in ${first.section}`
+            });
+        }
+    }
+
+    for (const entry of entries) {
+        const parts = entry.source.split(GROUP_SEPARATOR).filter((part, i) => i % 2 === 0);
+        if (parts.length < 2) {
+            continue;
+        }
+        for (const part of parts) {
+            const member = canonical.get(part.trim());
+            if (member && !entry.english.toLowerCase().includes(member.english.toLowerCase())) {
+                issues.push({
+                    check: 'group', section: entry.section, key: entry.key, value: entry.value, expected: member.english,
+                    message: `"${part.trim()}" is "${member.english}" on their own`
+                });
+            }
+        }
+    }
+
+    const titleNames = new Map();
+    for (const section of TITLE_SECTIONS) {
+        for (const [key, value] of Object.entries(titles[section] || {})) {
+            const pair = collectKnownNames({ titles: { [section]: { [key]: value } } });
+            for (const [source, english] of pair) {
+                const first = titleNames.get(source);
+                if (!first) {
+                    titleNames.set(source, { section, key, english });
+                } else if (first.english !== english) {
+                    issues.push({
+                        check: 'title', section, key, value, expected: first.english,
+                        message: `"${source}" is "${english}" here and "${first.english}" in "${first.key}"`
+                    });
+                }
+            }
+            if (/[^.]\.$/.test(value.trim()) && !/[。．.]$/.test(key.trim())) {
+                issues.push({ check: 'punctuation', section, key, value, expected: tidyLabel(key, value), message: 'title ends with a period' });
+            }
+        }
+    }
+
+    // A given name (七彩) inside a full name (鳴滝七彩) should come out the same
+    for (const [fullName, title] of titleNames) {
+        for (const [source, entry] of canonical) {
+            if (entry.section !== 'speakerNames' || source.length < 2 || source === fullName || !fullName.includes(source)) {
+                continue;
+            }
+            if (!title.english.toLowerCase().includes(entry.english.toLowerCase())) {
+                issues.push({
+                    check: 'speaker', section: entry.section, key: entry.key, value: entry.value, expected: title.english,
+                    message: `"${source}" is "${entry.english}" but "${fullName}" is "${title.english}" in the titles`
+                });
+            }
+        }
+    }
+
+    for (const entry of entries) {
+        if (/[^.]\.$/.test(entry.value.trim()) && !/[。．.]$/.test(entry.source)) {
+            issues.push({
+                check: 'punctuation', section: entry.section, key: entry.key, value: entry.value,
+                expected: tidyLabel(entry.source, entry.value), message: 'name ends with a period'
+            });
+        }
+    }
+    return issues;
+}
+
+module.exports = {
+    NAME_SECTIONS,
+    TITLE_SECTIONS,
+    checkLabels,
+    collectKnownNames,
+    isLabelFile,
+    tidyLabel,
+    translateLabel
+};
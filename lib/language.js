@@ -0,0 +1,120 @@
+// Script detection for translated values
+// Flags values still in Chinese (Han only) or Japanese (kana) after a translation pass
+
+// ・ and ー are left out, they also show up in Chinese and as dash substitutes in English output
+const KANA_PATTERN = /[぀-ゟ゠-ヺヽ-ヿㇰ-ㇿｦ-ﾟ]/g;
+const HAN_PATTERN = /[㐀-䶿一-鿿豈-﫿]/g;
+const LATIN_PATTERN = /[A-Za-z]/g;
+
+// Parts that legitimately stay Japanese or aren't text: ruby, 〈...〉, tags, placeholders
+function stripKeptParts(text) {
+    return text
+        .replace(/<r=[^>]*>[\s\S]*?<\/r>/g, '')
+        .replace(/〈[^〉]*〉/g, '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/%user[^%]*na%/gi, '');
+}
+
+function count(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+// Kana, Han and Latin letters of a value, kept parts left out
+function scriptCounts(text) {
+    const stripped = stripKeptParts(text);
+    return {
+        kana: count(stripped, KANA_PATTERN),
+        han: count(stripped, HAN_PATTERN),
+        latin: count(stripped, LATIN_PATTERN)
+    };
+}
+
+// 'kana' (Japanese), 'han' (Chinese or untranslated kanji), 'latin' or 'none' (punctuation only)
+function detectScript(text) {
+    const { kana, han, latin } = scriptCounts(text);
+
+    if (kana > 0) {
+        return 'kana';
+    }
+    if (han > 0 && han >= latin) {
+        return 'han';
+    }
+    if (latin > 0) {
+        return 'latin';
+    }
+    return 'none';
+}
+
+// A value needs translating when its source has Japanese text and the value still doesn't read as English
+function isUntranslated(source, value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    const sourceScript = detectScript(source);
+    if (sourceScript !== 'kana' && sourceScript !== 'han') {
+        return false;
+    }
+    const script = detectScript(value);
+    return script === 'kana' || script === 'han';
+}
+
+// Walk a translation file, nested sections included
+// Returns the number of string values and the untranslated ones with their path
+function scanTranslation(data) {
+    const result = { total: 0, untranslated: [] };
+    const visit = (obj, parents) => {
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'object' && value !== null) {
+                visit(value, [...parents, key]);
+            } else if (typeof value === 'string') {
+                result.total++;
+                if (isUntranslated(key, value)) {
+                    result.untranslated.push({ path: [...parents, key], key, value, script: detectScript(value) });
+                }
+            }
+        }
+    };
+    visit(data, []);
+    return result;
+}
+
+// Copy only the given key paths out of a translation file, keeping the nesting
+function pickPaths(data, paths) {
+    const subset = {};
+    for (const keyPath of paths) {
+        let source = data;
+        let target = subset;
+        keyPath.forEach((key, i) => {
+            if (i === keyPath.length - 1) {
+                target[key] = source[key];
+            } else {
+                target[key] = target[key] || {};
+                target = target[key];
+                source = source[key];
+            }
+        });
+    }
+    return subset;
+}
+
+// Write the values of a (nested) subset back into the full data
+function mergeValues(data, subset) {
+    for (const [key, value] of Object.entries(subset)) {
+        if (typeof value === 'object' && value !== null && typeof data[key] === 'object' && data[key] !== null) {
+            mergeValues(data[key], value);
+        } else {
+            data[key] = value;
+        }
+    }
+    return data;
+}
+
+module.exports = {
+    detectScript,
+    isUntranslated,
+    mergeValues,
+    pickPaths,
+    scanTranslation,
+    scriptCounts,
+    stripKeptParts
+};
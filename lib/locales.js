@@ -0,0 +1,71 @@
+// Locales of the translation files
+// en: our English translation, written by translate-values.js
+// zh_Hans: the Chinese originals from upstream (anosu/muvluvgg-translation), imported by sync-upstream.js
+const DEFAULT_LOCALE = 'en';
+const LOCALES = ['en', 'zh_Hans'];
+
+// Where a line missing from a locale is taken from, in order
+// The Chinese originals are never completed with English lines
+const FALLBACKS = {
+    en: ['zh_Hans'],
+    zh_Hans: []
+};
+
+// Game-side plugins were written for the Chinese translation and ask for zh_Hans.json,
+// which has always held the English text: that file name keeps serving English
+// (and the Chinese originals for the scenes nobody has translated yet, see localePreference)
+const FILE_ALIASES = {
+    zh_Hans: 'en'
+};
+
+// Locales a document is served in when it doesn't have the one asked for, in order:
+// the requested locale, its fallbacks, the default locale, then any other
+// Scenes only upstream has translated are zh_Hans alone, the ones we translated since may have no zh_Hans
+function localePreference(locale) {
+    return [...new Set([locale, ...(FALLBACKS[locale] || []), DEFAULT_LOCALE, ...LOCALES])];
+}
+
+// Locale of a language tag or name: 'en-US' -> 'en', 'zh-CN'/'zh-Hans'/'zh' -> 'zh_Hans'
+// null when we don't have it
+function toLocale(tag) {
+    if (typeof tag !== 'string') {
+        return null;
+    }
+    const normalized = tag.trim().replace(/_/g, '-').toLowerCase();
+    if (normalized === 'en' || normalized.startsWith('en-')) {
+        return 'en';
+    }
+    if (normalized === 'zh' || normalized.startsWith('zh-hans') || normalized === 'zh-cn' || normalized === 'zh-sg') {
+        return 'zh_Hans';
+    }
+    return null;
+}
+
+// Per-key fallback: the lines of the first file, completed with the lines it misses from the next ones
+function mergeFallback(primary, ...fallbacks) {
+    const merged = { ...primary };
+    for (const fallback of fallbacks) {
+        for (const [key, value] of Object.entries(fallback)) {
+            if (!Object.prototype.hasOwnProperty.call(merged, key)) {
+                merged[key] = value;
+            } else if (isSection(merged[key]) && isSection(value)) {
+                merged[key] = mergeFallback(merged[key], value);
+            }
+        }
+    }
+    return merged;
+}
+
+function isSection(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    FALLBACKS,
+    FILE_ALIASES,
+    LOCALES,
+    localePreference,
+    mergeFallback,
+    toLocale
+};
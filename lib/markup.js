@@ -0,0 +1,145 @@
+// Unity rich text helpers shared by the validator and the QA tools
+// Scene values use <color=...>...</color>, </material> and <r=reading>base</r> ruby tags
+
+const USERNAME_PATTERN = /%usernameusernameuserna%/g;
+// Anything that is not the exact placeholder: %user...na%, %username%, ...
+const BROKEN_USERNAME_PATTERN = /%user(?!nameusernameuserna%)[^%\s]{0,30}%/gi;
+const TAG_PATTERN = /<(\/?)([^<>\s=\/-]*)([^<>]*)>/g;
+const KNOWN_TAGS = new Set(['color', 'material', 'r', 'size', 'b', 'i']);
+// Tags that backends inject and the game doesn't need
+const INJECTED_TAGS = new Set(['br', 'b']);
+
+// Every <...> in the text, with what is wrong with it syntactically
+function parseTags(text) {
+    const tags = [];
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const [raw, slash, name, rest] = match;
+        const closing = slash === '/';
+        const tag = { raw, name: name.toLowerCase(), closing, attr: null, malformed: false };
+        if (rest) {
+            // Only "=value" is valid after the name, and never on closing tags
+            if (closing || !rest.startsWith('=')) {
+                tag.malformed = true;
+            } else {
+                tag.attr = rest.slice(1);
+            }
+        }
+        if (!tag.name) {
+            tag.malformed = true;
+        }
+        tags.push(tag);
+    }
+    return tags;
+}
+
+// Nesting errors: closing tags without an opener, openers never closed
+function checkNesting(tags) {
+    const errors = [];
+    const stack = [];
+    for (const tag of tags) {
+        if (tag.malformed) {
+            continue;
+        }
+        if (!tag.closing) {
+            stack.push(tag);
+        } else if (stack.length > 0 && stack[stack.length - 1].name === tag.name) {
+            stack.pop();
+        } else {
+            errors.push(`unexpected ${tag.raw}`);
+        }
+    }
+    stack.forEach(tag => errors.push(`unclosed ${tag.raw}`));
+    return errors;
+}
+
+// "name" or "name=value" for comparing tag sets between source and translation
+// Ruby readings are Japanese and may legitimately be kept or translated, so they're ignored
+function tagSignature(tag) {
+    const prefix = tag.closing ? '/' : '';
+    if (tag.name === 'color' && tag.attr !== null) {
+        return `${prefix}${tag.name}=${tag.attr.toLowerCase()}`;
+    }
+    return `${prefix}${tag.name}`;
+}
+
+function countBy(items) {
+    const counts = new Map();
+    items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+    return counts;
+}
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+// Compare a translated value with its source key
+// Returns a list of { check, message } problems, empty when the markup is intact
+function validateLine(source, translated) {
+    const problems = [];
+    if (typeof translated !== 'string') {
+        return [{ check: 'type', message: `value is ${translated === null ? 'null' : typeof translated}, expected a string` }];
+    }
+
+    const sourceTags = parseTags(source);
+    const translatedTags = parseTags(translated);
+
+    for (const tag of translatedTags) {
+        if (tag.malformed) {
+            problems.push({ check: 'malformed-tag', message: `malformed tag ${tag.raw}` });
+        } else if (INJECTED_TAGS.has(tag.name) && !sourceTags.some(t => t.name === tag.name)) {
+            problems.push({ check: 'injected-tag', message: `${tag.raw} is not in the source` });
+        } else if (!KNOWN_TAGS.has(tag.name)) {
+            problems.push({ check: 'unknown-tag', message: `unknown tag ${tag.raw}` });
+        }
+    }
+
+    // Tag sets must match, counting each tag
+    const sourceCounts = countBy(sourceTags.filter(t => !t.malformed).map(tagSignature));
+    const translatedCounts = countBy(translatedTags.filter(t => !t.malformed && !INJECTED_TAGS.has(t.name)).map(tagSignature));
+    for (const signature of new Set([...sourceCounts.keys(), ...translatedCounts.keys()])) {
+        const expected = sourceCounts.get(signature) || 0;
+        const actual = translatedCounts.get(signature) || 0;
+        if (expected !== actual) {
+            problems.push({ check: 'tag-set', message: `<${signature}> appears ${actual} times, source has ${expected}` });
+        }
+    }
+
+    // Nesting only has to be as good as the source (some sources close </material> without opening it)
+    const sourceNesting = checkNesting(sourceTags);
+    const translatedNesting = checkNesting(translatedTags.filter(t => !INJECTED_TAGS.has(t.name)));
+    if (translatedNesting.length > sourceNesting.length) {
+        problems.push({ check: 'nesting', message: `bad nesting: ${translatedNesting.join(', ')}` });
+    }
+
+    // Leftovers of mangled tags like "Jewel>/Material>"
+    const sourceStray = countMatches(source.replace(TAG_PATTERN, ''), /[<>]/g);
+    const translatedStray = countMatches(translated.replace(TAG_PATTERN, ''), /[<>]/g);
+    if (translatedStray > sourceStray) {
+        problems.push({ check: 'stray-bracket', message: `${translatedStray - sourceStray} stray < or > outside of tags` });
+    }
+
+    const sourceBreaks = countMatches(source, /\n/g);
+    const translatedBreaks = countMatches(translated, /\n/g);
+    if (sourceBreaks !== translatedBreaks) {
+        problems.push({ check: 'line-breaks', message: `${translatedBreaks} line breaks, source has ${sourceBreaks}` });
+    }
+
+    const sourceUsernames = countMatches(source, USERNAME_PATTERN) + countMatches(source, BROKEN_USERNAME_PATTERN);
+    const translatedUsernames = countMatches(translated, USERNAME_PATTERN);
+    if (sourceUsernames !== translatedUsernames) {
+        problems.push({ check: 'username', message: `${translatedUsernames} username placeholders, source has ${sourceUsernames}` });
+    }
+    const brokenUsernames = translated.match(BROKEN_USERNAME_PATTERN);
+    if (brokenUsernames) {
+        problems.push({ check: 'username', message: `broken username placeholder ${brokenUsernames.join(', ')}` });
+    }
+
+    return problems;
+}
+
+module.exports = {
+    USERNAME_PATTERN,
+    checkNesting,
+    parseTags,
+    validateLine
+};
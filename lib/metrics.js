@@ -0,0 +1,153 @@
+// Request counters of the server process, kept in memory and lost on restart
+// (every Vercel instance counts on its own)
+// - per route: requests by method, route and status, and a latency histogram
+// - per scene: how often each scene was requested and how often it was missing
+//   (404, or 202 while the fallback translates it), so missing scenes can be translated in order of demand
+
+// Latency histogram buckets, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+// Any 8 digit id can be requested, the number of scenes counted one by one is capped
+const MAX_SCENES = 10000;
+const OTHER_SCENES = 'other';
+
+const SCENE_PATH = /^\/translation\/scenes\/(\d{8})(?:\/|$)/;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// The scene a request path is about, null for other routes
+function sceneOf(path) {
+    const match = SCENE_PATH.exec(path);
+    return match ? match[1] : null;
+}
+
+function createMetrics() {
+    const startedAt = new Date();
+    // `${method} ${route} ${status}` -> { method, route, status, count }
+    const requests = new Map();
+    // route -> { buckets: [count per bucket], sum, count }
+    const durations = new Map();
+    // scene id -> { requested, missing, lastRequested, lastMissing }
+    const scenes = new Map();
+
+    const countScene = (scene, status, time) => {
+        let stats = scenes.get(scene);
+        if (!stats) {
+            if (scenes.size >= MAX_SCENES) {
+                return countScene(OTHER_SCENES, status, time);
+            }
+            stats = { requested: 0, missing: 0, lastRequested: null, lastMissing: null };
+            scenes.set(scene, stats);
+        }
+        stats.requested++;
+        stats.lastRequested = time;
+        if (status === 404 || status === 202) {
+            stats.missing++;
+            stats.lastMissing = time;
+        }
+    };
+
+    // route is the Express route pattern (/translation/scenes/:id/:file?), never the raw URL,
+    // so the number of series stays bounded
+    const record = ({ method, route, path, status, duration }) => {
+        const key = `${method} ${route} ${status}`;
+        const counter = requests.get(key) || { method, route, status, count: 0 };
+        counter.count++;
+        requests.set(key, counter);
+
+        let histogram = durations.get(route);
+        if (!histogram) {
+            histogram = { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+            durations.set(route, histogram);
+        }
+        BUCKETS.forEach((bound, i) => {
+            if (duration <= bound) {
+                histogram.buckets[i]++;
+            }
+        });
+        histogram.sum += duration;
+        histogram.count++;
+
+        const scene = sceneOf(path);
+        if (scene) {
+            countScene(scene, status, new Date().toISOString());
+        }
+    };
+
+    // Prometheus text exposition format
+    const prometheus = () => {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(([suffix, labels, value]) => lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`));
+        };
+
+        metric('http_requests_total', 'counter', 'Requests by method, route and status',
+            [...requests.values()].map(({ method, route, status, count }) => ['', { method, route, status }, count]));
+
+        const histogramSamples = [];
+        for (const [route, histogram] of durations) {
+            BUCKETS.forEach((bound, i) => histogramSamples.push(['_bucket', { route, le: bound }, histogram.buckets[i]]));
+            histogramSamples.push(['_bucket', { route, le: '+Inf' }, histogram.count]);
+            histogramSamples.push(['_sum', { route }, Math.round(histogram.sum * 1e6) / 1e6]);
+            histogramSamples.push(['_count', { route }, histogram.count]);
+        }
+        metric('http_request_duration_seconds', 'histogram', 'Time until the response was sent, by route', histogramSamples);
+
+        const sceneStats = [...scenes.values()];
+        metric('scene_requests_total', 'counter', 'Requests for scene files',
+            [['', {}, sceneStats.reduce((sum, stats) => sum + stats.requested, 0)]]);
+        metric('scene_missing_total', 'counter', 'Requests for scenes that could not be served (404, or 202 from the fallback)',
+            [['', {}, sceneStats.reduce((sum, stats) => sum + stats.missing, 0)]]);
+        metric('process_start_time_seconds', 'gauge', 'When the server started, in seconds since the epoch',
+            [['', {}, Math.floor(startedAt.getTime() / 1000)]]);
+
+        return lines.join('\n') + '\n';
+    };
+
+    // Most requested scenes and most requested missing scenes, highest count first
+    const sceneStats = (limit = 20) => {
+        const entries = [...scenes].map(([scene, stats]) => ({ scene, ...stats }));
+        const top = (field, last) => entries
+            .filter(entry => entry[field] > 0)
+            .sort((a, b) => b[field] - a[field] || a.scene.localeCompare(b.scene))
+            .slice(0, limit)
+            .map(entry => ({ scene: entry.scene, count: entry[field], last: entry[last] }));
+        return {
+            since: startedAt.toISOString(),
+            requests: [...requests.values()].reduce((sum, counter) => sum + counter.count, 0),
+            scenes: scenes.size,
+            requested: top('requested', 'lastRequested'),
+            missing: top('missing', 'lastMissing')
+        };
+    };
+
+    return {
+        startedAt,
+        record,
+        prometheus,
+        sceneStats
+    };
+}
+
+// The counters the server shares
+let sharedMetrics = null;
+
+function getMetrics() {
+    if (!sharedMetrics) {
+        sharedMetrics = createMetrics();
+    }
+    return sharedMetrics;
+}
+
+module.exports = {
+    createMetrics,
+    getMetrics,
+    sceneOf
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// Translation files served from a mirror of this repository instead of the local translation directory
+// (files.mode redirect or proxy, see lib/config.js)
+// The mirror has the same layout: translation/names/en.json, translation/scenes/<id>/en.json, ...
+// Proxied files are kept in the cache directory with a .meta.json next to them (ETag, fetch date, hash)
+// and fetched again once they are older than the TTL; while the mirror is down, stale copies are served
+
+// GET a URL, resolve with { status, headers, body } for any status
+// Rejects on connection errors and timeouts
+function getUrl(url, { headers = {}, timeout = 15000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.get(target, { headers, timeout }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        req.on('timeout', () => {
+            req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+        });
+    });
+}
+
+function hashBody(body) {
+    return crypto.createHash('sha1').update(body).digest('hex').slice(0, 16);
+}
+
+function createMirror({ mirrorUrl, cacheDir, cacheTtl = 3600, timeout = 15000 }) {
+    // Requests for the same file while it is being fetched share one request to the mirror
+    const inFlight = new Map();
+
+    // file is relative to the repository root, e.g. translation/scenes/10000101/en.json
+    // Callers build it from validated parts only
+    const urlOf = file => `${mirrorUrl}/${file}`;
+
+    const cachePaths = (file) => {
+        const bodyPath = path.join(cacheDir, file);
+        return { bodyPath, metaPath: `${bodyPath}.meta.json` };
+    };
+
+    const readCache = (file) => {
+        const { bodyPath, metaPath } = cachePaths(file);
+        if (!fs.existsSync(bodyPath) || !fs.existsSync(metaPath)) {
+            return null;
+        }
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        return { ...meta, body: fs.readFileSync(bodyPath) };
+    };
+
+    // A cache that can't be written (read-only disk) only costs us the next fetch
+    const writeCache = (file, entry) => {
+        const { bodyPath, metaPath } = cachePaths(file);
+        const { body, ...meta } = entry;
+        try {
+            fs.mkdirSync(path.dirname(bodyPath), { recursive: true });
+            fs.writeFileSync(bodyPath, body);
+            fs.writeFileSync(metaPath, JSON.stringify(meta), 'utf8');
+        } catch (err) {
+            console.error(`Cannot cache ${file}:`, err.message);
+        }
+    };
+
+    const removeCache = (file) => {
+        const { bodyPath, metaPath } = cachePaths(file);
+        fs.rmSync(bodyPath, { force: true });
+        fs.rmSync(metaPath, { force: true });
+    };
+
+    const toEntry = cached => ({
+        body: cached.body,
+        hash: cached.hash,
+        lastModified: cached.lastModified ? new Date(cached.lastModified) : null
+    });
+
+    const refresh = async (file, cached) => {
+        const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+        let response;
+        try {
+            response = await getUrl(urlOf(file), { headers, timeout });
+        } catch (err) {
+            if (cached) {
+                console.error(`Mirror unreachable, serving the cached ${file}:`, err.message);
+                return toEntry(cached);
+            }
+            throw err;
+        }
+
+        if (response.status === 304 && cached) {
+            const entry = { ...cached, fetchedAt: Date.now() };
+            writeCache(file, entry);
+            return toEntry(entry);
+        }
+        if (response.status === 404) {
+            removeCache(file);
+            return null;
+        }
+        if (response.status !== 200) {
+            if (cached) {
+                console.error(`Mirror answered ${response.status}, serving the cached ${file}`);
+                return toEntry(cached);
+            }
+            throw new Error(`HTTP ${response.status} from the mirror for ${file}`);
+        }
+
+        const lastModified = response.headers['last-modified'] ? new Date(response.headers['last-modified']) : new Date();
+        const entry = {
+            etag: response.headers.etag || null,
+            fetchedAt: Date.now(),
+            hash: hashBody(response.body),
+            lastModified: isNaN(lastModified) ? null : lastModified.toISOString(),
+            body: response.body
+        };
+        writeCache(file, entry);
+        return toEntry(entry);
+    };
+
+    // { body, hash, lastModified } of a file, null if the mirror doesn't have it
+    const get = (file) => {
+        const cached = readCache(file);
+        if (cached && Date.now() - cached.fetchedAt < cacheTtl * 1000) {
+            return Promise.resolve(toEntry(cached));
+        }
+        if (!inFlight.has(file)) {
+            inFlight.set(file, refresh(file, cached).finally(() => inFlight.delete(file)));
+        }
+        return inFlight.get(file);
+    };
+
+    return {
+        urlOf,
+        get
+    };
+}
+
+module.exports = {
+    createMirror
+};
@@ -0,0 +1,165 @@
+const { createProtector, USERNAME } = require('./protect');
+
+// Turning Japanese lines into English with a translator (a backend behind lib/scheduler.js),
+// shared by translate-values.js and the server's fallback for missing scenes (lib/scene-fallback.js)
+
+// Default protection rules: username, <r=...> ruby, 〈...〉 brackets, <color>/<material> tags
+const defaultProtector = createProtector();
+
+// Clean up unwanted HTML artifacts that backends add
+// <color>/<material> tags are protected, so anything else is noise
+function cleanBackendOutput(text) {
+    return text
+        .replace(/<br\s*\/?>/gi, '')  // Remove <br> tags
+        .replace(/<\/?b>/gi, '')       // Remove <b> and </b> tags
+        .trim();
+}
+
+// Final touches on a restored translation
+function postProcess(text) {
+    // Normalize any username variations that might have been introduced by translation
+    let result = text.replace(/%user[^%]*na%/gi, USERNAME);
+    
+    // Add proper spacing around username pattern for readability
+    // Only match the exact pattern %usernameusernameuserna% (not percentages like 100%)
+    // Handle honorifics like "san", "kun", etc. with hyphen
+    const honorificPattern = /(%usernameusernameuserna%)\s*([a-z]+)\b/gi;
+    result = result.replace(honorificPattern, (match, username, honorific) => {
+        const commonHonorifics = ['san', 'kun', 'chan', 'sama', 'senpai', 'sensei', 'dono'];
+        if (commonHonorifics.includes(honorific.toLowerCase())) {
+            return `${username}-${honorific}`;
+        }
+        return match;
+    });
+    // Add spaces before if preceded by alphanumeric, add spaces after if followed by alphanumeric
+    // But don't add space if it's already followed by a hyphen (for honorifics)
+    result = result.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2 $3');
+    result = result.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)(?!-)/g, '$1 $2');
+    result = result.replace(/(?<!-)(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2');
+    
+    // Normalize curly quotes/apostrophes to straight ones
+    return result
+        .replace(/[\u2019\u2018\u201B\u201A]/g, "'")  // Replace all curly apostrophe variations
+        .replace(/[\u201C\u201E\u201F\u201D]/g, '"');  // Replace left and right double quotes
+}
+
+// Translate a single Japanese key, the result becomes its value
+// Protected tokens (username, tags, glossary terms) are swapped out first and verified on the way back
+// Lines are split on \n and translated separately so the exact line layout is kept
+// With options.previous (the source lines before this key, see lineContext) and a backend that takes context,
+// the lines of the key go out together with the previous ones as context, still one translation per line
+async function translateKey(key, translator, options = {}) {
+    const protector = options.protector || defaultProtector;
+    const { text: textToTranslate, tokens } = protector.protect(key);
+    const lines = textToTranslate.split('\n');
+    
+    let translatedParts;
+    if (options.previous && translator.translateInContext) {
+        const filled = lines.filter(part => part.trim());
+        // The context goes out as it is, placeholders of other keys would only be confused with this one's
+        const translated = filled.length > 0 ? await translator.translateInContext(filled, { previous: options.previous }) : [];
+        translatedParts = lines.map(part => part.trim() ? cleanBackendOutput(translated.shift()) : '');
+    } else {
+        // All parts are queued at once, the scheduler batches them
+        translatedParts = await Promise.all(lines.map(async (part) => {
+            if (!part.trim()) {
+                return ''; // Preserve empty lines
+            }
+            return cleanBackendOutput(await translator.translate(part));
+        }));
+    }
+    
+    const { text: restored, issues } = protector.restore(translatedParts.join('\n'), tokens);
+    const finalTranslation = postProcess(restored);
+    
+    if (issues.length > 0 && options.protectionReport) {
+        options.protectionReport.push({ key, value: finalTranslation, issues });
+    }
+    
+    return finalTranslation;
+}
+
+// Source lines that come before each key of a file, up to `window` of them, for translateKey's context mode
+// Lines only count within the same object (a scene file is a single one); speakers aren't
+// recorded in the translation files, so the context is the dialogue alone
+// Built from the whole file, so keys translated on their own still get the lines around them
+function lineContext(data, window) {
+    const previous = new Map();
+    const visit = (obj, parents) => {
+        const lines = [];
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'object' && value !== null) {
+                visit(value, [...parents, key]);
+            } else if (typeof value === 'string') {
+                previous.set(JSON.stringify([...parents, key]), lines.slice(-window));
+                lines.push(key);
+            }
+        }
+    };
+    visit(data, []);
+    return keyPath => previous.get(JSON.stringify(keyPath)) || [];
+}
+
+// Marks a key whose translation failed while the object is rebuilt
+const FAILED = Symbol('failed');
+
+// Recursively translate all values in the object
+// Every string is queued on the translator right away, so the scheduler
+// can batch lines and keep its workers busy instead of going key by key
+// With options.failures, keys the backend failed on are left out of the result and listed there
+// as { path, key, error }; without it the first failure rejects
+// With options.context (a lineContext of the file), every key is translated with the lines before it
+// options.translateKey replaces translateKey, it also gets the key path (lib/labels.js for names and titles)
+async function translateObjectValues(obj, translator, options = {}, parents = []) {
+    if (Array.isArray(obj)) {
+        return Promise.all(obj.map(item => {
+            if (typeof item === 'object' && item !== null) {
+                return translateObjectValues(item, translator, options, parents);
+            } else if (typeof item === 'string') {
+                // Translate array items if they're strings
+                return translator.translate(item);
+            }
+            return item;
+        }));
+    } else if (typeof obj === 'object' && obj !== null) {
+        const keys = Object.keys(obj);
+        const values = await Promise.all(keys.map(key => {
+            const value = obj[key];
+            // Recursively translate nested objects
+            if (typeof value === 'object' && value !== null) {
+                return translateObjectValues(value, translator, options, [...parents, key]);
+            } else if (typeof value === 'string') {
+                // Translate the Japanese key to English and use it as the value
+                const keyOptions = options.context ? { ...options, previous: options.context([...parents, key]) } : options;
+                const translate = options.translateKey || translateKey;
+                const translation = translate(key, translator, keyOptions, [...parents, key]);
+                if (!options.failures) {
+                    return translation;
+                }
+                return translation.catch((error) => {
+                    options.failures.push({ path: [...parents, key], key, error });
+                    return FAILED;
+                });
+            }
+            return value;
+        }));
+        
+        // Rebuild in the original key order
+        const result = {};
+        keys.forEach((key, i) => {
+            if (values[i] !== FAILED) {
+                result[key] = values[i];
+            }
+        });
+        return result;
+    }
+    return obj;
+}
+
+module.exports = {
+    cleanBackendOutput,
+    lineContext,
+    postProcess,
+    translateKey,
+    translateObjectValues
+};
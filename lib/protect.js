@@ -0,0 +1,205 @@
+// Token protection engine
+// Parts of a line that must not go through the translation backend are swapped out
+// before translation and put back afterwards. Each rule declares what it protects
+// and how:
+// - opaque:    replaced by an English placeholder like ___TAG0___ that backends leave alone
+// - surrogate: replaced by a name-like word the backend translates naturally around
+//              (e.g. "Xeonis" for the player name), matched back with a looser pattern
+// - strip:     removed from the start/end of the line and reinserted there afterwards,
+//              occurrences in the middle of the line fall back to an opaque placeholder
+// Restoring verifies that every protected token survived exactly once
+// and that no placeholder text is left over.
+
+const USERNAME = '%usernameusernameuserna%';
+
+const DEFAULT_RULES = [
+    {
+        // %usernameusernameuserna% and its %user...na% variations
+        name: 'username',
+        pattern: /%user[^%]*na%/gi,
+        strategy: 'surrogate',
+        surrogate: 'Xeonis',
+        // Sugoi likes to mangle the surrogate: Xeois, Xeons, Xeonys, Xeonsis, ...
+        surrogatePattern: /xeo[a-z]*/gi,
+        restoreAs: () => USERNAME
+    },
+    {
+        // Ruby annotations <r=reading>base</r>
+        name: 'ruby',
+        pattern: /<r=[^>]*>[\s\S]*?<\/r>/g,
+        strategy: 'opaque',
+        token: 'RUBY'
+    },
+    {
+        // Fullwidth bracket tags 〈...〉, content stays Japanese
+        name: 'bracket',
+        pattern: /〈[^〉]+〉/g,
+        strategy: 'opaque',
+        token: 'TAG'
+    },
+    {
+        // Unity rich text <color=...>, </color>, </material>
+        name: 'color',
+        pattern: /<\/?(?:color|material)(?:=[^>]*)?>/g,
+        strategy: 'strip',
+        token: 'COLOR'
+    }
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Same pattern, anchored to the start or end of the text
+function anchored(pattern, where) {
+    const source = where === 'start' ? `^(?:${pattern.source})` : `(?:${pattern.source})$`;
+    return new RegExp(source, pattern.flags.replace('g', ''));
+}
+
+// Leave a space between a restored token and adjacent words
+function spaced(replacement, before, after) {
+    let result = replacement;
+    if (before && /[a-zA-Z0-9%]/.test(before)) result = ' ' + result;
+    if (after && /[a-zA-Z0-9%]/.test(after)) result = result + ' ';
+    return result;
+}
+
+function createProtector(rules = DEFAULT_RULES) {
+    rules.forEach(rule => {
+        if (!['opaque', 'surrogate', 'strip'].includes(rule.strategy)) {
+            throw new Error(`Unknown protection strategy "${rule.strategy}" for rule ${rule.name}`);
+        }
+    });
+
+    // Swap protected parts of the text for placeholders
+    // Returns the text to translate and the tokens needed to restore it
+    function protect(text) {
+        const tokens = [];
+        const counters = {};
+        let processedText = text;
+
+        const opaque = (rule, original) => {
+            counters[rule.token] = (counters[rule.token] || 0) + 1;
+            const placeholder = `___${rule.token}${counters[rule.token] - 1}___`;
+            tokens.push({ rule, original, strategy: 'opaque', placeholder, index: counters[rule.token] - 1 });
+            return placeholder;
+        };
+
+        for (const rule of rules) {
+            if (rule.strategy === 'strip') {
+                // Peel matches off both ends, remembering their order
+                const leading = [];
+                const trailing = [];
+                const atStart = anchored(rule.pattern, 'start');
+                const atEnd = anchored(rule.pattern, 'end');
+                let match;
+                while ((match = processedText.match(atStart))) {
+                    leading.push(match[0]);
+                    processedText = processedText.slice(match[0].length);
+                }
+                while ((match = processedText.match(atEnd))) {
+                    trailing.unshift(match[0]);
+                    processedText = processedText.slice(0, processedText.length - match[0].length);
+                }
+                leading.forEach(original => tokens.push({ rule, original, strategy: 'strip', position: 'start' }));
+                trailing.forEach(original => tokens.push({ rule, original, strategy: 'strip', position: 'end' }));
+                processedText = processedText.replace(rule.pattern, original => opaque(rule, original));
+            } else if (rule.strategy === 'surrogate') {
+                processedText = processedText.replace(rule.pattern, original => {
+                    tokens.push({ rule, original, strategy: 'surrogate' });
+                    return rule.surrogate;
+                });
+            } else {
+                processedText = processedText.replace(rule.pattern, original => opaque(rule, original));
+            }
+        }
+
+        return { text: processedText, tokens };
+    }
+
+    // Put the protected parts back and verify each one survived exactly once
+    function restore(text, tokens) {
+        let restored = text;
+        const issues = [];
+        const restoreAs = token => (token.rule.restoreAs ? token.rule.restoreAs(token.original) : token.original);
+
+        // Opaque placeholders: the exact placeholder first, for every token, so neighbouring placeholders
+        // (___TAG0______TAG1___) keep their own underscores
+        const opaqueTokens = tokens.filter(token => token.strategy === 'opaque');
+        const counts = new Map();
+        for (const token of opaqueTokens) {
+            const parts = restored.split(token.placeholder);
+            counts.set(token, parts.length - 1);
+            restored = parts.join(restoreAs(token));
+        }
+        // Mangled variants of the placeholders that didn't come back exactly: __TAG0___, _tag0_, TAG0, ...
+        // Highest index first so TAG1 never eats into TAG10, and no more underscores than the placeholder has
+        const missing = opaqueTokens.filter(token => counts.get(token) === 0).sort((a, b) => b.index - a.index);
+        for (const token of missing) {
+            const pattern = new RegExp(`_{0,3}${escapeRegExp(token.rule.token)}${token.index}(?![0-9])_{0,3}`, 'gi');
+            let count = 0;
+            restored = restored.replace(pattern, (match, offset, whole) => {
+                count++;
+                return spaced(restoreAs(token), whole[offset - 1], whole[offset + match.length]);
+            });
+            counts.set(token, count);
+        }
+        // Whatever still looks like a placeholder is a second copy of a token, or one the backend made up
+        const leftovers = [];
+        const tokenNames = [...new Set(opaqueTokens.map(token => token.rule.token))];
+        if (tokenNames.length > 0) {
+            const leftoverPattern = new RegExp(`_{0,3}(${tokenNames.map(escapeRegExp).join('|')})([0-9]+)_{0,3}`, 'gi');
+            for (const [placeholder, name, index] of restored.matchAll(leftoverPattern)) {
+                const sameName = token => token.rule.token.toUpperCase() === name.toUpperCase();
+                const token = opaqueTokens.find(candidate => sameName(candidate) && candidate.index === Number(index));
+                if (token) {
+                    counts.set(token, counts.get(token) + 1);
+                } else {
+                    leftovers.push({ rule: opaqueTokens.find(sameName).rule.name, token: null, placeholder, count: 1, expected: 0 });
+                }
+            }
+        }
+        for (const token of opaqueTokens) {
+            if (counts.get(token) !== 1) {
+                issues.push({ rule: token.rule.name, token: token.original, placeholder: token.placeholder, count: counts.get(token), expected: 1 });
+            }
+        }
+        issues.push(...leftovers);
+
+        // Surrogates, matched back in order of appearance
+        for (const rule of rules.filter(r => r.strategy === 'surrogate')) {
+            const originals = tokens.filter(token => token.rule === rule);
+            if (originals.length === 0) {
+                continue;
+            }
+            let count = 0;
+            restored = restored.replace(rule.surrogatePattern, () => {
+                const token = originals[Math.min(count, originals.length - 1)];
+                count++;
+                return restoreAs(token);
+            });
+            if (count !== originals.length) {
+                issues.push({ rule: rule.name, token: originals[0].original, placeholder: rule.surrogate, count, expected: originals.length });
+            }
+        }
+
+        // Stripped tokens go back where they came from
+        const leading = tokens.filter(token => token.strategy === 'strip' && token.position === 'start').map(restoreAs);
+        const trailing = tokens.filter(token => token.strategy === 'strip' && token.position === 'end').map(restoreAs);
+        restored = leading.join('') + restored + trailing.join('');
+
+        return { text: restored, issues };
+    }
+
+    return {
+        rules,
+        protect,
+        restore
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    USERNAME,
+    createProtector
+};
@@ -0,0 +1,186 @@
+const { NAME_SECTIONS } = require('./labels');
+const { scriptCounts, stripKeptParts } = require('./language');
+
+// Heuristics for machine translations that went wrong without breaking the markup
+// Every check returns null or an issue { check, severity, message }, severity between 0 and 1;
+// the score of a line is the sum of its severities, so lines with several problems rank first
+// Length thresholds come from the spread of the current corpus: 99% of the translated values have between
+// 0.9 and 3.3 times as many letters as their source
+
+const LENGTH_RATIO = { min: 0.65, max: 4 };
+// Sources with fewer letters vary too much in length to compare, 4 kanji titles easily come out 6 times as long
+const MIN_SOURCE_LENGTH = { short: 8, long: 10 };
+
+const ELLIPSIS_PATTERN = /…+|‥+|\.{3,}/g;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Letters and digits a reader sees, without tags, ruby, placeholders and punctuation,
+// drawn out sounds (ああああ, Noooo) counted once
+function visibleLength(text) {
+    return Array.from(stripKeptParts(text).replace(/[^\p{L}\p{N}]/gu, '').replace(/(.)\1+/gu, '$1')).length;
+}
+
+// Truncated lines come out much shorter than their source, hallucinated ones much longer
+function checkLength(source, value) {
+    const sourceLength = visibleLength(source);
+    if (sourceLength < MIN_SOURCE_LENGTH.short) {
+        return null;
+    }
+    const ratio = visibleLength(value) / sourceLength;
+    if (ratio < LENGTH_RATIO.min) {
+        return {
+            check: 'length',
+            severity: round(Math.min(1, 0.3 + (LENGTH_RATIO.min - ratio))),
+            message: `only ${round(ratio)}x the length of the source, possibly truncated`
+        };
+    }
+    if (ratio > LENGTH_RATIO.max && sourceLength >= MIN_SOURCE_LENGTH.long) {
+        return {
+            check: 'length',
+            severity: round(Math.min(1, 0.3 + (ratio - LENGTH_RATIO.max) / 4)),
+            message: `${round(ratio)}x the length of the source, possibly hallucinated`
+        };
+    }
+    return null;
+}
+
+// How often the most frequent character pair of the source occurs, to let through lines that repeat on purpose
+function sourceRepetition(source) {
+    const chars = Array.from(stripKeptParts(source).replace(/[\s、。！？!?…‥・ー「」『』（）()]/g, ''));
+    const counts = new Map();
+    let most = 0;
+    for (let i = 0; i + 1 < chars.length; i++) {
+        const pair = chars[i] + chars[i + 1];
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+        most = Math.max(most, counts.get(pair));
+    }
+    return most;
+}
+
+// Longest run of one word repeated back to back: "no, no, no, no"
+function longestRun(words) {
+    let worst = null;
+    let run = 0;
+    for (let i = 0; i < words.length; i++) {
+        run = i > 0 && words[i] === words[i - 1] ? run + 1 : 1;
+        if (!worst || run > worst.occurrences) {
+            worst = { gram: words[i], occurrences: run, n: 1 };
+        }
+    }
+    return worst;
+}
+
+// Backends stuck in a loop repeat the same few words: "I'm sorry, I'm sorry, I'm sorry, I'm sorry"
+// Single words only count back to back, "the" and "you" show up everywhere
+function checkRepetition(source, value) {
+    const words = stripKeptParts(value).toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)*/g) || [];
+    let worst = longestRun(words);
+    if (worst && worst.occurrences < 4) {
+        worst = null;
+    }
+    for (let n = 2; n <= 4; n++) {
+        const counts = new Map();
+        for (let i = 0; i + n <= words.length; i++) {
+            const gram = words.slice(i, i + n).join(' ');
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+        for (const [gram, occurrences] of counts) {
+            if (occurrences >= 3 && (!worst || occurrences * n > worst.occurrences * worst.n)) {
+                worst = { gram, occurrences, n };
+            }
+        }
+    }
+    if (!worst || sourceRepetition(source) >= worst.occurrences) {
+        return null;
+    }
+    return {
+        check: 'repetition',
+        severity: round(Math.min(1, 0.2 * (worst.occurrences - 1))),
+        message: `"${worst.gram}" repeated ${worst.occurrences} times`
+    };
+}
+
+// Kana or kanji the backend left in the output
+function checkLeftoverJapanese(source, value) {
+    const { kana, han } = scriptCounts(value);
+    if (kana + han === 0) {
+        return null;
+    }
+    return {
+        check: 'japanese',
+        severity: round(Math.min(1, 0.5 + 0.1 * (kana + han))),
+        message: `${kana + han} Japanese character${kana + han === 1 ? '' : 's'} left in the output`
+    };
+}
+
+// Bare names translated like sentences: 威厳のある女性 -> "A dignified woman."
+function checkName(source, value) {
+    const problems = [];
+    if (/[^.]\.$/.test(value.trim()) && !/[。.]$/.test(source.trim())) {
+        problems.push('ends with a period');
+    }
+    if (/^(A|An) /.test(value) && value.split(/\s+/).length > 2) {
+        problems.push('starts with an article');
+    }
+    if (problems.length === 0) {
+        return null;
+    }
+    return {
+        check: 'name',
+        severity: round(0.4 * problems.length),
+        message: `name ${problems.join(' and ')}`
+    };
+}
+
+function countOf(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+// Quotes and brackets that are opened but never closed, and ellipses that got lost or added
+function checkPunctuation(source, value) {
+    const problems = [];
+    const text = stripKeptParts(value);
+    if (countOf(text, /"/g) % 2 !== 0) {
+        problems.push({ severity: 0.4, message: 'odd number of double quotes' });
+    }
+    const pairs = [['“', '”'], ['「', '」'], ['『', '』'], ['(', ')']];
+    for (const [open, close] of pairs) {
+        if (text.split(open).length !== text.split(close).length) {
+            problems.push({ severity: 0.4, message: `unbalanced ${open}${close}` });
+        }
+    }
+    const sourceEllipses = countOf(source, ELLIPSIS_PATTERN);
+    const valueEllipses = countOf(text, ELLIPSIS_PATTERN);
+    if (sourceEllipses > 0 && valueEllipses === 0) {
+        problems.push({ severity: 0.3, message: 'ellipsis of the source is missing' });
+    } else if (valueEllipses > sourceEllipses + 1) {
+        problems.push({ severity: 0.2, message: `${valueEllipses} ellipses for ${sourceEllipses} in the source` });
+    }
+    if (problems.length === 0) {
+        return null;
+    }
+    return {
+        check: 'punctuation',
+        severity: round(Math.min(1, problems.reduce((sum, problem) => sum + problem.severity, 0))),
+        message: problems.map(problem => problem.message).join(', ')
+    };
+}
+
+// Issues and score of one line, `path` is its key path in the translation file
+function scoreLine(path, source, value) {
+    const checks = [checkLength, checkRepetition, checkLeftoverJapanese, checkPunctuation];
+    if (path.length > 1 && NAME_SECTIONS.includes(path[0])) {
+        checks.push(checkName);
+    }
+    const issues = checks.map(check => check(source, value)).filter(Boolean);
+    return {
+        score: round(issues.reduce((sum, issue) => sum + issue.severity, 0)),
+        issues
+    };
+}
+
+module.exports = {
+    LENGTH_RATIO,
+    scoreLine
+};
@@ -0,0 +1,114 @@
+const { CircuitOpenError } = require('./errors');
+
+// Retry policy for backend requests (see lib/errors.js for what counts as retryable)
+// - withRetry: retryable failures are tried again after an exponential backoff with jitter
+// - circuit breaker: after `threshold` failures in a row that say the backend is down, requests are held back
+//   for `cooldown` ms (doubling up to `maxCooldown` while it stays down), which pauses the whole run;
+//   once the backend has been down for `giveUpAfter` ms every request fails with CircuitOpenError
+
+const DEFAULT_RETRY_OPTIONS = {
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+    threshold: 5,
+    cooldown: 15000,
+    maxCooldown: 120000,
+    giveUpAfter: 600000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before retry number `attempt` (0 based): baseDelay, 2x, 4x, ... capped, minus up to half as jitter
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+async function withRetry(action, options = {}) {
+    const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await action(attempt);
+        } catch (error) {
+            if (!error.retryable || attempt >= settings.retries) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt, settings);
+            if (settings.onRetry) {
+                settings.onRetry(error, attempt + 1, delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+function createCircuitBreaker(name, options = {}) {
+    const settings = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    let failures = 0;
+    let cooldown = settings.cooldown;
+    let openUntil = 0;
+    let downSince = null;
+    const stats = { opened: 0 };
+
+    const isOpen = () => Date.now() < openUntil;
+
+    const onSuccess = () => {
+        if (failures >= settings.threshold) {
+            console.log(`✓ ${name} is back, resuming`);
+        }
+        failures = 0;
+        cooldown = settings.cooldown;
+        downSince = null;
+    };
+
+    const onFailure = (error) => {
+        if (!error.unavailable) {
+            return;
+        }
+        failures++;
+        downSince = downSince === null ? Date.now() : downSince;
+        if (failures >= settings.threshold && !isOpen()) {
+            openUntil = Date.now() + cooldown;
+            stats.opened++;
+            console.warn(`⚠ ${name} looks down (${error.message}), pausing for ${Math.round(cooldown / 1000)}s`);
+            cooldown = Math.min(cooldown * 2, settings.maxCooldown);
+        }
+    };
+
+    const gaveUp = () => failures >= settings.threshold && Date.now() - downSince >= settings.giveUpAfter;
+
+    // Run a request once the breaker lets it through
+    const call = async (action) => {
+        while (isOpen() && !gaveUp()) {
+            await sleep(openUntil - Date.now());
+        }
+        if (gaveUp()) {
+            throw new CircuitOpenError(`${name} has been down for more than ${Math.round(settings.giveUpAfter / 1000)}s`);
+        }
+        try {
+            const result = await action();
+            onSuccess();
+            return result;
+        } catch (error) {
+            onFailure(error);
+            throw error;
+        }
+    };
+
+    return {
+        call,
+        isOpen,
+        stats
+    };
+}
+
+module.exports = {
+    DEFAULT_BREAKER_OPTIONS,
+    DEFAULT_RETRY_OPTIONS,
+    backoffDelay,
+    createCircuitBreaker,
+    withRetry
+};
@@ -0,0 +1,91 @@
+// Hepburn romanization of kana, for character names written in kana (める, ちゆる, うるう)
+// Long vowels are written out the way the existing translations spell them (Ichijou, Uruu), no macrons
+// Katakana is read as hiragana; anything that isn't kana is kept as it is
+
+const SYLLABLES = {
+    あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+    か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+    が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+    さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+    ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+    た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+    だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+    な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+    は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+    ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+    ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+    ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+    や: 'ya', ゆ: 'yu', よ: 'yo',
+    ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+    わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu'
+};
+
+// Small kana that change the syllable before them
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+const KATAKANA_PATTERN = /[ァ-ヶ]/g;
+// Katakana names are mostly foreign ones (ユリア is Julia, not Yuria), only hiragana ones are safe to romanize
+const HIRAGANA_NAME_PATTERN = /^[ぁ-ゖー・\s]+$/;
+
+function toHiragana(text) {
+    return text.replace(KATAKANA_PATTERN, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+function romanizeWord(word) {
+    const chars = Array.from(toHiragana(word));
+    let result = '';
+    let doubleNext = false;
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        if (char === 'っ') {
+            doubleNext = true;
+            continue;
+        }
+        if (SMALL_Y[char] && /i$/.test(result)) {
+            // きゃ -> kya, しゃ -> sha, ちゃ -> cha, じゃ -> ja
+            result = /(sh|ch|j)i$/.test(result) ? result.slice(0, -1) + SMALL_Y[char] : result.slice(0, -1) + 'y' + SMALL_Y[char];
+            continue;
+        }
+        if (SMALL_VOWELS[char] && /[aiueo]$/.test(result)) {
+            // ふぁ -> fa, てぃ -> ti, ウィ -> wi: only a bare う turns into w
+            result = result.slice(0, -1) + (chars[i - 1] === 'う' ? 'w' : '') + SMALL_VOWELS[char];
+            continue;
+        }
+        if (char === 'ー') {
+            const vowel = result.match(/[aiueo]$/);
+            result += vowel ? vowel[0] : '';
+            continue;
+        }
+        let syllable = SYLLABLES[char] || SMALL_Y[char] || SMALL_VOWELS[char] || char;
+        if (doubleNext) {
+            syllable = syllable.startsWith('ch') ? `t${syllable}` : syllable[0] + syllable;
+            doubleNext = false;
+        }
+        // ん before a vowel or y is written n' (Shin'ya)
+        if (/n$/.test(result) && chars[i - 1] === 'ん' && /^[aiueoy]/.test(syllable)) {
+            result += "'";
+        }
+        result += syllable;
+    }
+    return result;
+}
+
+// A name in kana as capitalized words: "めぐみ・あかね" -> "Megumi Akane"
+function romanize(text) {
+    return text.split(/[・\s]+/)
+        .filter(Boolean)
+        .map(romanizeWord)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+function isHiraganaName(text) {
+    return HIRAGANA_NAME_PATTERN.test(text);
+}
+
+module.exports = {
+    isHiraganaName,
+    romanize,
+    toHiragana
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { createBackend } = require('./backends');
+const { loadConfig } = require('./config');
+const { hashBody } = require('./corpus');
+const { createGlossary } = require('./glossary');
+const { createMirror } = require('./mirror');
+const { lineContext, translateObjectValues } = require('./pipeline');
+const { createProtector, DEFAULT_RULES } = require('./protect');
+const { createScheduler } = require('./scheduler');
+
+// Scenes the translation directory doesn't have yet, e.g. story content released since the last batch run
+// (fallback in the server config, see lib/config.js)
+// - the Chinese originals come from the upstream repository, whose keys are the Japanese source lines
+// - the English comes from a machine translation made on the server, one scene at a time in the background,
+//   with the backend and scheduler settings of translate.config.json
+// Finished translations are kept in <cacheDir>/translations/scenes/<id>/en.json and served from there
+// until the scene shows up in the translation directory
+// Background jobs need a long-running server, they don't survive a serverless function returning
+
+// Unknown scene ids remembered at most
+const MAX_MISSES = 10000;
+
+function createSceneFallback({ upstreamUrl, cacheDir, retryAfter = 30, maxQueue = 20, translateConfig = null }) {
+    const upstream = createMirror({ mirrorUrl: upstreamUrl, cacheDir: path.join(cacheDir, 'upstream') });
+    const translationsDir = path.join(cacheDir, 'translations');
+
+    // scene id -> { scene, state: 'queued' | 'running' | 'failed', queuedAt, error, failedAt }
+    const jobs = new Map();
+    const queue = [];
+    // scene id -> served entry, read from disk once
+    const translations = new Map();
+    // scene id -> when upstream last said it doesn't have the scene, oldest first
+    const missing = new Map();
+    let translator = null;
+    let protector = null;
+    let contextWindow = 0;
+    let working = false;
+
+    // Entries are added in time order, so the expired ones are at the front; the oldest go when there are too many
+    const forgetExpiredMisses = () => {
+        for (const [sceneId, since] of missing) {
+            if (Date.now() - since < retryAfter * 1000 && missing.size < MAX_MISSES) {
+                break;
+            }
+            missing.delete(sceneId);
+        }
+    };
+
+    const translationPath = sceneId => path.join(translationsDir, 'scenes', sceneId, 'en.json');
+
+    // { data, body, hash, lastModified } of a finished translation, null if there is none
+    const translated = (sceneId) => {
+        if (translations.has(sceneId)) {
+            return translations.get(sceneId);
+        }
+        const filePath = translationPath(sceneId);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        const body = fs.readFileSync(filePath);
+        const entry = {
+            data: JSON.parse(body.toString('utf8')),
+            body,
+            hash: hashBody(body),
+            lastModified: new Date(Math.floor(fs.statSync(filePath).mtime.getTime() / 1000) * 1000)
+        };
+        translations.set(sceneId, entry);
+        return entry;
+    };
+
+    // The upstream Chinese file of a scene ({ body, hash, lastModified }), null if upstream doesn't have it either
+    // Misses are remembered for retryAfter seconds, looping over unknown ids doesn't reach upstream every time
+    const source = async (sceneId) => {
+        const missingSince = missing.get(sceneId);
+        if (missingSince !== undefined && Date.now() - missingSince < retryAfter * 1000) {
+            return null;
+        }
+        const original = await upstream.get(`translation/scenes/${sceneId}/zh_Hans.json`);
+        missing.delete(sceneId);
+        if (!original) {
+            forgetExpiredMisses();
+            missing.set(sceneId, Date.now());
+        }
+        return original;
+    };
+
+    // Built on the first job, so a server that never needs the fallback never loads a backend
+    const ensureTranslator = () => {
+        if (!translator) {
+            const config = loadConfig(translateConfig);
+            const backend = createBackend(config.backend, config.backends[config.backend], { retry: config.retry, circuitBreaker: config.circuitBreaker });
+            translator = createScheduler(backend, config.scheduler);
+            const glossary = createGlossary();
+            protector = createProtector([...DEFAULT_RULES, glossary.rule()]);
+            contextWindow = translator.translateInContext ? config.context.window || 0 : 0;
+            console.log(`Scene fallback translating with ${backend.description}`);
+        }
+        return translator;
+    };
+
+    const runJob = async (job) => {
+        job.state = 'running';
+        try {
+            const original = await source(job.scene);
+            if (!original) {
+                throw new Error(`Scene ${job.scene} is no longer upstream`);
+            }
+            // A scene is only served complete, one failed line fails the job
+            const sourceData = JSON.parse(original.body.toString('utf8'));
+            const sceneTranslator = ensureTranslator();
+            const context = contextWindow > 0 ? lineContext(sourceData, contextWindow) : null;
+            const data = await translateObjectValues(sourceData, sceneTranslator, { protector, context });
+            const filePath = translationPath(job.scene);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            // Compact, the file is served as it is (like the bodies of lib/corpus.js)
+            fs.writeFileSync(filePath, JSON.stringify(data), 'utf8');
+            translations.delete(job.scene);
+            jobs.delete(job.scene);
+            console.log(`✓ Scene fallback translated ${job.scene}`);
+        } catch (err) {
+            console.error(`Scene fallback failed for ${job.scene}:`, err.message);
+            Object.assign(job, { state: 'failed', error: err.message, failedAt: Date.now() });
+        }
+    };
+
+    // One scene at a time, the batch runs are what the backend is really for
+    const work = async () => {
+        if (working) {
+            return;
+        }
+        working = true;
+        while (queue.length > 0) {
+            await runJob(queue.shift());
+        }
+        working = false;
+    };
+
+    const enqueue = (sceneId) => {
+        const job = { scene: sceneId, state: 'queued', queuedAt: new Date().toISOString(), error: null, failedAt: null };
+        jobs.set(sceneId, job);
+        queue.push(job);
+        work();
+        return job;
+    };
+
+    // Where a scene stands, queueing it when it can be translated
+    // { state: 'ready', entry } | { state: 'queued' | 'running', position } | { state: 'failed', error }
+    // | { state: 'full' } when the queue is full | { state: 'missing' } when upstream doesn't have it
+    const request = async (sceneId) => {
+        const entry = translated(sceneId);
+        if (entry) {
+            return { state: 'ready', entry };
+        }
+        let job = jobs.get(sceneId);
+        // Failed scenes are tried again once the retry delay is over
+        if (job && job.state === 'failed') {
+            if (Date.now() - job.failedAt < retryAfter * 1000) {
+                return { state: 'failed', error: job.error };
+            }
+            jobs.delete(sceneId);
+            job = null;
+        }
+        if (!job) {
+            if (!(await source(sceneId))) {
+                return { state: 'missing' };
+            }
+            if (queue.length >= maxQueue) {
+                return { state: 'full' };
+            }
+            // Another request may have queued it while upstream was asked
+            job = jobs.get(sceneId) || enqueue(sceneId);
+        }
+        return { state: job.state, position: job.state === 'queued' ? queue.indexOf(job) + 1 : 0 };
+    };
+
+    return {
+        retryAfter,
+        request,
+        source,
+        translated
+    };
+}
+
+module.exports = {
+    createSceneFallback
+};
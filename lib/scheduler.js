@@ -0,0 +1,204 @@
+// Request scheduler sitting between the translation pipeline and a backend
+// - lines queued through translate() are grouped into batches of up to batchSize
+// - at most `concurrency` batches are in flight at the same time
+// - batch dispatches are spaced to stay under `requestsPerSecond` (0 = unlimited)
+// - translate() waits while more than maxPending lines are queued (backpressure)
+// - with a translation memory, known lines are answered without queueing anything
+// - translateInContext() requests (the lines of one key with the lines before it) go out on their own,
+//   for backends that take context
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    batchSize: 16,
+    concurrency: 4,
+    requestsPerSecond: 0,
+    batchWindow: 10, // ms to wait for more lines before sending a partial batch
+    maxPending: 1000
+};
+
+function createScheduler(backend, options = {}, memory = null) {
+    const settings = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    const minInterval = settings.requestsPerSecond > 0 ? 1000 / settings.requestsPerSecond : 0;
+
+    const queue = [];
+    const spaceWaiters = [];
+    const idleWaiters = [];
+    let active = 0;
+    let nextDispatchAt = 0;
+    let flushTimer = null;
+    let windowElapsed = false;
+    let rateTimer = null;
+
+    const stats = { lines: 0, batches: 0, cached: 0, failed: 0 };
+
+    function isIdle() {
+        return queue.length === 0 && active === 0;
+    }
+
+    function notifyIdle() {
+        if (isIdle()) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    // Wake up producers blocked on a full queue
+    function releaseSpace() {
+        while (spaceWaiters.length > 0 && queue.length < settings.maxPending) {
+            spaceWaiters.shift()();
+        }
+    }
+
+    async function runBatch(batch) {
+        active++;
+        stats.batches++;
+        try {
+            const texts = batch.map(item => item.text);
+            const translated = await backend.translateBatch(texts);
+            batch.forEach((item, i) => {
+                // Lines the backend failed on reject on their own, the rest of the batch goes through
+                if (translated[i] instanceof Error) {
+                    stats.failed++;
+                    item.reject(translated[i]);
+                    return;
+                }
+                // Identical output means the backend fell back to the source, don't remember it
+                if (memory && translated[i] !== item.text) {
+                    memory.set(backend.name, backend.model, item.text, translated[i]);
+                }
+                item.resolve(translated[i]);
+            });
+        } catch (error) {
+            batch.forEach(item => item.reject(error));
+        } finally {
+            active--;
+            pump();
+            notifyIdle();
+        }
+    }
+
+    // A key translated with its context, remembered under the backend model + "+context"
+    async function runContext(item) {
+        active++;
+        stats.batches++;
+        try {
+            const translated = await backend.translateInContext(item.lines, item.context);
+            if (memory) {
+                memory.set(backend.name, `${backend.model}+context`, item.text, translated.join('\n'));
+            }
+            item.resolve(translated);
+        } catch (error) {
+            stats.failed += item.lines.length;
+            item.reject(error);
+        } finally {
+            active--;
+            pump();
+            notifyIdle();
+        }
+    }
+
+    function pump() {
+        while (queue.length > 0 && active < settings.concurrency) {
+            // Give the pipeline a moment to fill up a partial batch
+            if (queue.length < settings.batchSize && !windowElapsed) {
+                if (!flushTimer) {
+                    flushTimer = setTimeout(() => {
+                        flushTimer = null;
+                        windowElapsed = true;
+                        pump();
+                    }, settings.batchWindow);
+                }
+                return;
+            }
+
+            const now = Date.now();
+            if (now < nextDispatchAt) {
+                if (!rateTimer) {
+                    rateTimer = setTimeout(() => {
+                        rateTimer = null;
+                        pump();
+                    }, nextDispatchAt - now);
+                }
+                return;
+            }
+            nextDispatchAt = now + minInterval;
+            windowElapsed = false;
+
+            if (queue[0].context) {
+                const item = queue.shift();
+                releaseSpace();
+                runContext(item);
+                continue;
+            }
+            // Plain lines up to the next context request
+            let size = 1;
+            while (size < settings.batchSize && size < queue.length && !queue[size].context) {
+                size++;
+            }
+            const batch = queue.splice(0, size);
+            releaseSpace();
+            runBatch(batch);
+        }
+    }
+
+    // Queue a single line, resolves with its translation
+    async function translate(text) {
+        if (!text || text.trim() === '') {
+            return text;
+        }
+        const remembered = memory ? memory.get(backend.name, backend.model, text) : undefined;
+        if (remembered !== undefined) {
+            stats.cached++;
+            return remembered;
+        }
+        while (queue.length >= settings.maxPending) {
+            await new Promise(resolve => spaceWaiters.push(resolve));
+        }
+        stats.lines++;
+        return new Promise((resolve, reject) => {
+            queue.push({ text, resolve, reject });
+            pump();
+        });
+    }
+
+    // Queue the lines of one key with the source lines before it ({ previous }), resolves with one translation per line
+    // The memory answers a key it has seen before whatever the context was
+    async function translateInContext(lines, context) {
+        const text = lines.join('\n');
+        const remembered = memory ? memory.get(backend.name, `${backend.model}+context`, text) : undefined;
+        if (remembered !== undefined) {
+            stats.cached += lines.length;
+            return remembered.split('\n');
+        }
+        while (queue.length >= settings.maxPending) {
+            await new Promise(resolve => spaceWaiters.push(resolve));
+        }
+        stats.lines += lines.length;
+        return new Promise((resolve, reject) => {
+            queue.push({ text, lines, context, resolve, reject });
+            pump();
+        });
+    }
+
+    // Resolves once every queued line has been translated
+    function drain() {
+        if (isIdle()) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => idleWaiters.push(resolve));
+    }
+
+    return {
+        backend,
+        memory,
+        settings,
+        stats,
+        translate,
+        // Only for backends that take context
+        translateInContext: backend.translateInContext ? translateInContext : null,
+        drain
+    };
+}
+
+module.exports = {
+    DEFAULT_SCHEDULER_OPTIONS,
+    createScheduler
+};
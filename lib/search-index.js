@@ -0,0 +1,185 @@
+const { getCorpus } = require('./corpus');
+const { DEFAULT_LOCALE } = require('./locales');
+
+// In-memory index over every line the server hands out (names, titles and scenes, default locale)
+// Japanese has no word boundaries, so both the source and the translation are indexed by character bigrams:
+// - lookup: exact source line, or the closest source lines by bigram similarity (Dice coefficient)
+// - search: substring search over source and/or translation, the rarest bigram of the query narrows the candidates
+
+// Markup and spacing that shouldn't decide whether two lines match
+// Japanese lines lose their line breaks entirely, translations keep single spaces between words
+function normalize(text, separator = '') {
+    return text
+        .replace(/<r=[^>]*>([\s\S]*?)<\/r>/g, '$1')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\s+/g, separator)
+        .trim()
+        .toLowerCase();
+}
+
+function normalizeTranslation(text) {
+    return normalize(text, ' ');
+}
+
+function bigrams(text) {
+    const grams = new Set();
+    const chars = Array.from(text);
+    if (chars.length === 1) {
+        grams.add(chars[0]);
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+        grams.add(chars[i] + chars[i + 1]);
+    }
+    return grams;
+}
+
+function addPostings(index, grams, lineId) {
+    for (const gram of grams) {
+        let postings = index.get(gram);
+        if (!postings) {
+            postings = [];
+            index.set(gram, postings);
+        }
+        postings.push(lineId);
+    }
+}
+
+// Every line of the corpus: { document, scene, section, source, translation }
+function collectLines(corpus, locale) {
+    const lines = [];
+    for (const [id, document] of corpus.documents) {
+        const entry = document.locales.get(locale);
+        if (!entry) {
+            continue;
+        }
+        const scene = id.startsWith('scenes/') ? id.slice('scenes/'.length) : null;
+        const visit = (data, section) => {
+            for (const [key, value] of Object.entries(data)) {
+                if (typeof value === 'object' && value !== null) {
+                    visit(value, key);
+                } else if (typeof value === 'string') {
+                    lines.push({ document: id, scene, section, source: key, translation: value });
+                }
+            }
+        };
+        visit(entry.data, null);
+    }
+    return lines;
+}
+
+function createSearchIndex(corpus, locale = DEFAULT_LOCALE) {
+    const lines = collectLines(corpus, locale);
+    const exact = new Map();
+    const normalizedSources = [];
+    const normalizedTargets = [];
+    const sourceGramCounts = [];
+    const sourceIndex = new Map();
+    const targetIndex = new Map();
+
+    lines.forEach((line, lineId) => {
+        if (!exact.has(line.source)) {
+            exact.set(line.source, []);
+        }
+        exact.get(line.source).push(lineId);
+        normalizedSources.push(normalize(line.source));
+        normalizedTargets.push(normalizeTranslation(line.translation));
+        const sourceGrams = bigrams(normalizedSources[lineId]);
+        sourceGramCounts.push(sourceGrams.size);
+        addPostings(sourceIndex, sourceGrams, lineId);
+        addPostings(targetIndex, bigrams(normalizedTargets[lineId]), lineId);
+    });
+
+    // Exact source match first, then the same text once markup and spacing are ignored
+    const lookup = (source) => {
+        if (exact.has(source)) {
+            return exact.get(source).map(lineId => ({ ...lines[lineId], score: 1 }));
+        }
+        const normalized = normalize(source);
+        return candidates(sourceIndex, normalized)
+            .filter(lineId => normalizedSources[lineId] === normalized)
+            .map(lineId => ({ ...lines[lineId], score: 1 }));
+    };
+
+    // Closest source lines, scored 0..1 by shared bigrams
+    const fuzzyLookup = (source, { limit = 5, threshold = 0.5 } = {}) => {
+        const grams = bigrams(normalize(source));
+        if (grams.size === 0) {
+            return [];
+        }
+        const shared = new Map();
+        for (const gram of grams) {
+            for (const lineId of sourceIndex.get(gram) || []) {
+                shared.set(lineId, (shared.get(lineId) || 0) + 1);
+            }
+        }
+        return [...shared]
+            .map(([lineId, count]) => ({ lineId, score: (2 * count) / (grams.size + sourceGramCounts[lineId]) }))
+            .filter(match => match.score >= threshold)
+            .sort((a, b) => b.score - a.score || a.lineId - b.lineId)
+            .slice(0, limit)
+            .map(match => ({ ...lines[match.lineId], score: Math.round(match.score * 1000) / 1000 }));
+    };
+
+    // Line ids that may contain the text: postings of its rarest bigram, every line for single characters
+    function candidates(index, normalized) {
+        if (Array.from(normalized).length < 2) {
+            return lines.map((line, lineId) => lineId);
+        }
+        let best = null;
+        for (const gram of bigrams(normalized)) {
+            const postings = index.get(gram) || [];
+            if (best === null || postings.length < best.length) {
+                best = postings;
+            }
+        }
+        return best || [];
+    }
+
+    // Lines containing the query in their source, translation or either, in corpus order
+    const search = (query, { fields = 'all', scope = null, limit = 20, offset = 0 } = {}) => {
+        const matches = new Set();
+        const sourceQuery = normalize(query);
+        const targetQuery = normalizeTranslation(query);
+        if (sourceQuery && fields !== 'translation') {
+            candidates(sourceIndex, sourceQuery)
+                .filter(lineId => normalizedSources[lineId].includes(sourceQuery))
+                .forEach(lineId => matches.add(lineId));
+        }
+        if (targetQuery && fields !== 'source') {
+            candidates(targetIndex, targetQuery)
+                .filter(lineId => normalizedTargets[lineId].includes(targetQuery))
+                .forEach(lineId => matches.add(lineId));
+        }
+        const results = [...matches]
+            .sort((a, b) => a - b)
+            .map(lineId => lines[lineId])
+            .filter(line => !scope || line.document === scope || line.document.startsWith(`${scope}/`));
+        return { total: results.length, results: results.slice(offset, offset + limit) };
+    };
+
+    return {
+        locale,
+        version: corpus.version,
+        size: lines.length,
+        lookup,
+        fuzzyLookup,
+        search
+    };
+}
+
+// The index the server routes share, built on first use and again once the corpus version changed
+let searchIndex = null;
+
+function getSearchIndex() {
+    const corpus = getCorpus();
+    if (!searchIndex || searchIndex.version !== corpus.version) {
+        searchIndex = createSearchIndex(corpus);
+    }
+    return searchIndex;
+}
+
+module.exports = {
+    createSearchIndex,
+    getSearchIndex,
+    normalize
+};
@@ -0,0 +1,49 @@
+// Minimal ustar writer for the bundle downloads, regular files only
+
+const BLOCK_SIZE = 512;
+
+function writeString(header, value, offset, length) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+// Numeric header fields are zero-padded octal followed by a NUL
+function writeOctal(header, value, offset, length) {
+    writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function createHeader(name, size, mtime) {
+    if (Buffer.byteLength(name) > 100) {
+        throw new Error(`Path too long for a tar header: ${name}`);
+    }
+    const header = Buffer.alloc(BLOCK_SIZE);
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(' ', 148, 156);
+    header.write('0', 156);
+    writeString(header, 'ustar\u000000', 257, 8);
+    // Checksum: sum of the header bytes with the checksum field counted as spaces
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeString(header, `${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+    return header;
+}
+
+// files: [{ name, body (Buffer), mtime (Date) }]
+function createTar(files) {
+    const parts = [];
+    for (const file of files) {
+        parts.push(createHeader(file.name, file.body.length, file.mtime), file.body);
+        const padding = (BLOCK_SIZE - (file.body.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        parts.push(Buffer.alloc(padding));
+    }
+    // Two empty blocks end the archive
+    parts.push(Buffer.alloc(BLOCK_SIZE * 2));
+    return Buffer.concat(parts);
+}
+
+module.exports = {
+    createTar
+};
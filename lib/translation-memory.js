@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+
+// On-disk translation memory: (backend, model, source text) -> backend output
+// Stores the raw backend output, post-processing runs on top of it,
+// so fixing post-processing never requires hitting the backend again
+const DEFAULT_MEMORY_FILE = path.join(ROOT_DIR, 'translation-memory.json');
+
+function memoryKey(backend, model, source) {
+    return `${backend}\u0000${model}\u0000${source}`;
+}
+
+// Read an entry list from a memory or export file
+function readEntries(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(content) ? content : content.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error(`${filePath} is not a translation memory file`);
+    }
+    return entries.filter(entry =>
+        entry && typeof entry.source === 'string' && typeof entry.target === 'string' &&
+        typeof entry.backend === 'string' && typeof entry.model === 'string');
+}
+
+function createTranslationMemory(filePath = DEFAULT_MEMORY_FILE) {
+    const entries = new Map();
+    let dirty = false;
+    // Set when the file could not be read nor moved aside, save() must not overwrite it then
+    let unreadable = false;
+
+    // Keep the newest entry when the same source shows up twice
+    function merge(entry) {
+        const key = memoryKey(entry.backend, entry.model, entry.source);
+        const existing = entries.get(key);
+        if (existing && existing.updatedAt >= (entry.updatedAt || '')) {
+            return false;
+        }
+        const now = new Date().toISOString();
+        entries.set(key, {
+            source: entry.source,
+            target: entry.target,
+            backend: entry.backend,
+            model: entry.model,
+            createdAt: entry.createdAt || (existing && existing.createdAt) || now,
+            updatedAt: entry.updatedAt || now
+        });
+        dirty = true;
+        return true;
+    }
+
+    function get(backend, model, source) {
+        const entry = entries.get(memoryKey(backend, model, source));
+        return entry ? entry.target : undefined;
+    }
+
+    function set(backend, model, source, target) {
+        const key = memoryKey(backend, model, source);
+        const existing = entries.get(key);
+        if (existing && existing.target === target) {
+            return;
+        }
+        const now = new Date().toISOString();
+        entries.set(key, {
+            source,
+            target,
+            backend,
+            model,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        });
+        dirty = true;
+    }
+
+    function toJSON() {
+        return {
+            version: 1,
+            entries: Array.from(entries.values())
+        };
+    }
+
+    function save() {
+        if (!dirty) {
+            return;
+        }
+        if (unreadable) {
+            console.error(`Not saving translation memory, ${filePath} could not be read or moved aside`);
+            return;
+        }
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(toJSON(), null, 2), 'utf8');
+            dirty = false;
+        } catch (error) {
+            console.error('Could not save translation memory:', error.message);
+        }
+    }
+
+    // Write every entry (optionally only one backend) to another file
+    function exportTo(targetPath, backend = null) {
+        const data = toJSON();
+        if (backend) {
+            data.entries = data.entries.filter(entry => entry.backend === backend);
+        }
+        fs.writeFileSync(targetPath, JSON.stringify(data, null, 2), 'utf8');
+        return data.entries.length;
+    }
+
+    // Merge entries from another memory or export file, returns the number of new/updated entries
+    function importFrom(sourcePath) {
+        let imported = 0;
+        for (const entry of readEntries(sourcePath)) {
+            if (merge(entry)) {
+                imported++;
+            }
+        }
+        return imported;
+    }
+
+    if (fs.existsSync(filePath)) {
+        try {
+            readEntries(filePath).forEach(merge);
+            dirty = false;
+        } catch (error) {
+            console.warn('Could not load translation memory:', error.message);
+            // The next save would replace it with what this run translates, keep it for someone to look at
+            const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            try {
+                fs.renameSync(filePath, corruptPath);
+                console.warn(`Moved it to ${corruptPath}, starting with an empty memory`);
+            } catch (renameError) {
+                console.warn(`Could not move it aside (${renameError.message}), it will not be saved`);
+                unreadable = true;
+            }
+        }
+    }
+
+    return {
+        filePath,
+        get size() {
+            return entries.size;
+        },
+        get,
+        set,
+        save,
+        exportTo,
+        importFrom
+    };
+}
+
+module.exports = {
+    DEFAULT_MEMORY_FILE,
+    createTranslationMemory
+};
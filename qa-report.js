@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { TRANSLATION_DIR, findTranslationFiles, readJson, relativePath, resolveTranslationFile, sceneName } = require('./lib/files');
+const { loadState, reviewState, walkValues } = require('./lib/key-state');
+const { isUntranslated } = require('./lib/language');
+const { scoreLine } = require('./lib/qa');
+
+// Quality pass over the machine translations, for reviewers
+// Scores every line with the heuristics of lib/qa.js (length against the source, repeated words,
+// leftover Japanese, names that read like sentences, unbalanced quotes and ellipses) and ranks
+// the scenes and their lines, worst first, in qa-report.json and qa-report.html
+// Approved lines are left out unless --all is given, values that are still untranslated are only counted
+// (detect-untranslated.js lists them)
+
+const USAGE = [
+    'Usage: node qa-report.js [--min-score <n>] [--all] [--lines] [--json] [--report <file>] [--html <file>] [scene ...]',
+    'A scene is a scene id (10000101), "names", "titles" or the path of a translation file'
+];
+const DEFAULT_REPORT_FILE = path.join(__dirname, 'qa-report.json');
+const DEFAULT_HTML_FILE = path.join(__dirname, 'qa-report.html');
+const DEFAULT_MIN_SCORE = 0.3;
+
+function checkFile(filePath, { minScore, all }) {
+    const file = relativePath(filePath);
+    const state = loadState(filePath);
+    const lines = [];
+    let checked = 0;
+    let untranslated = 0;
+    for (const item of walkValues(readJson(filePath))) {
+        const review = reviewState(state, item);
+        if (review === 'approved' && !all) {
+            continue;
+        }
+        if (isUntranslated(item.key, item.value)) {
+            untranslated++;
+            continue;
+        }
+        checked++;
+        const { score, issues } = scoreLine(item.path, item.key, item.value);
+        if (score >= minScore && issues.length > 0) {
+            lines.push({ path: item.path, key: item.key, value: item.value, review, score, issues });
+        }
+    }
+    lines.sort((a, b) => b.score - a.score);
+    const score = Math.round(lines.reduce((sum, line) => sum + line.score, 0) * 100) / 100;
+    return { scene: sceneName(filePath), file, checked, untranslated, flagged: lines.length, score, lines };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Markup shown as text, line breaks kept
+const htmlText = text => escapeHtml(text).replace(/\n/g, '<br>');
+
+function renderHtml(report) {
+    const { summary } = report;
+    const index = report.scenes.map(scene =>
+        `<tr><td><a href="#scene-${escapeHtml(scene.scene)}">${escapeHtml(scene.scene)}</a></td>` +
+        `<td>${scene.score}</td><td>${scene.flagged}</td><td>${scene.checked}</td></tr>`);
+    const sections = report.scenes.map(scene => [
+        `<h2 id="scene-${escapeHtml(scene.scene)}">${escapeHtml(scene.scene)} <small>${escapeHtml(scene.file)}, score ${scene.score}</small></h2>`,
+        '<table><tr><th>Score</th><th>Source</th><th>Translation</th><th>Issues</th><th>Review</th></tr>',
+        ...scene.lines.map(line =>
+            `<tr><td>${line.score}</td><td lang="ja">${htmlText(line.key)}</td><td>${htmlText(line.value)}</td>` +
+            `<td><ul>${line.issues.map(issue => `<li><b>${issue.check}</b> (${issue.severity}) ${escapeHtml(issue.message)}</li>`).join('')}</ul></td>` +
+            `<td>${line.review}</td></tr>`),
+        '</table>'
+    ].join('\n'));
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Translation QA report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+ul { margin: 0; padding-left: 1.2em; }
+small { color: #666; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>Translation QA report</h1>
+<p>${summary.flagged} of ${summary.checked} lines flagged in ${summary.flaggedScenes} of ${summary.scenes} scenes (minimum score ${summary.minScore}), generated ${escapeHtml(report.generatedAt)}</p>
+<table><tr><th>Scene</th><th>Score</th><th>Flagged</th><th>Checked</th></tr>
+${index.join('\n')}
+</table>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                'min-score': { type: 'string' },
+                all: { type: 'boolean' },
+                lines: { type: 'boolean' },
+                json: { type: 'boolean' },
+                report: { type: 'string' },
+                html: { type: 'string' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        USAGE.forEach(line => console.error(line));
+        process.exitCode = 2;
+        return;
+    }
+
+    const minScore = args.values['min-score'] === undefined ? DEFAULT_MIN_SCORE : Number(args.values['min-score']);
+    if (!Number.isFinite(minScore) || minScore < 0) {
+        console.error(`Invalid --min-score: ${args.values['min-score']}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    let files;
+    try {
+        files = args.positionals.length > 0 ? args.positionals.map(resolveTranslationFile) : findTranslationFiles(TRANSLATION_DIR);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return;
+    }
+
+    const scenes = [];
+    for (const filePath of files) {
+        try {
+            scenes.push(checkFile(filePath, { minScore, all: args.values.all }));
+        } catch (error) {
+            console.error(`Error reading ${relativePath(filePath)}:`, error.message);
+        }
+    }
+    scenes.sort((a, b) => b.score - a.score || a.scene.localeCompare(b.scene));
+    const flaggedScenes = scenes.filter(scene => scene.flagged > 0);
+    const byCheck = {};
+    for (const scene of flaggedScenes) {
+        for (const line of scene.lines) {
+            line.issues.forEach(issue => { byCheck[issue.check] = (byCheck[issue.check] || 0) + 1; });
+        }
+    }
+    const summary = {
+        scenes: scenes.length,
+        flaggedScenes: flaggedScenes.length,
+        checked: scenes.reduce((sum, scene) => sum + scene.checked, 0),
+        flagged: scenes.reduce((sum, scene) => sum + scene.flagged, 0),
+        untranslated: scenes.reduce((sum, scene) => sum + scene.untranslated, 0),
+        minScore,
+        byCheck
+    };
+    const report = { generatedAt: new Date().toISOString(), summary, scenes: flaggedScenes };
+
+    const reportFile = args.values.report || DEFAULT_REPORT_FILE;
+    const htmlFile = args.values.html || DEFAULT_HTML_FILE;
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(htmlFile, renderHtml(report), 'utf8');
+
+    if (args.values.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    for (const scene of flaggedScenes) {
+        console.log(`${String(scene.score).padStart(7)}  ${String(scene.flagged).padStart(4)}/${String(scene.checked).padEnd(4)} ${scene.scene}`);
+        if (args.values.lines) {
+            for (const line of scene.lines) {
+                console.log(`         ${line.score}  ${JSON.stringify(line.value)}`);
+                line.issues.forEach(issue => console.log(`           ⚠ [${issue.check}] ${issue.message}`));
+            }
+        }
+    }
+    const checks = Object.entries(byCheck).map(([check, count]) => `${count} ${check}`).join(', ');
+    console.log(`\n${summary.flagged} of ${summary.checked} lines flagged in ${summary.flaggedScenes} of ${summary.scenes} scenes` +
+        (checks ? ` (${checks})` : ''));
+    if (summary.untranslated > 0) {
+        console.log(`${summary.untranslated} untranslated values skipped, see node detect-untranslated.js`);
+    }
+    console.log(`📋 Report written to ${path.basename(reportFile)} and ${path.basename(htmlFile)}`);
+}
+
+main();
@@ -0,0 +1,133 @@
+const { parseArgs } = require('util');
+const { TRANSLATION_DIR, findTranslationFiles, readJson, relativePath, resolveTranslationFile } = require('./lib/files');
+const { approveValue, createState, loadState, reviewState, saveState, unapproveValue, walkValues } = require('./lib/key-state');
+
+// Proofreading workflow on top of the per-key state files
+// Every line is 'new' (not recorded yet), 'machine', 'edited' or 'approved'; approved lines are locked
+// and translate-values.js never touches them
+
+const USAGE = [
+    'Usage: node review.js [list] [--lines] [--all] [--json] [scene ...]',
+    '       node review.js approve <scene> [key ...] [--by <name>]',
+    '       node review.js unapprove <scene> [key ...]',
+    'A scene is a scene id (10000101), "names", "titles" or the path of a translation file'
+];
+
+// Review counts of one file, with its lines still to review
+function reviewFile(filePath) {
+    const state = loadState(filePath);
+    const counts = { new: 0, machine: 0, edited: 0, approved: 0 };
+    const lines = [];
+    for (const item of walkValues(readJson(filePath))) {
+        const review = reviewState(state, item);
+        counts[review]++;
+        if (review !== 'approved') {
+            lines.push({ key: item.key, value: item.value, review });
+        }
+    }
+    return { file: relativePath(filePath), ...counts, unreviewed: lines.length, lines };
+}
+
+function listFiles(targets, values) {
+    const files = targets.length > 0 ? targets.map(resolveTranslationFile) : findTranslationFiles(TRANSLATION_DIR);
+    const results = files.map(reviewFile);
+    const shown = values.all ? results : results.filter(result => result.unreviewed > 0);
+    const total = key => results.reduce((sum, result) => sum + result[key], 0);
+    const summary = {
+        files: results.length,
+        unreviewedFiles: results.filter(result => result.unreviewed > 0).length,
+        new: total('new'),
+        machine: total('machine'),
+        edited: total('edited'),
+        approved: total('approved')
+    };
+
+    if (values.json) {
+        const files = shown.map(result => values.lines ? result : { ...result, lines: undefined });
+        console.log(JSON.stringify({ summary, files }, null, 2));
+        return;
+    }
+
+    for (const result of shown) {
+        console.log(`${String(result.unreviewed).padStart(4)} to review  ` +
+            `(${result.machine} machine, ${result.edited} edited, ${result.new} new, ${result.approved} approved)  ${result.file}`);
+        if (values.lines) {
+            result.lines.forEach(line => console.log(`         [${line.review}] ${JSON.stringify(line.key)} → ${JSON.stringify(line.value)}`));
+        }
+    }
+    console.log(`\n${summary.approved} approved, ${summary.edited} edited, ${summary.machine} machine, ${summary.new} new` +
+        ` (${summary.unreviewedFiles} of ${summary.files} files have lines to review)`);
+}
+
+// Approve or unapprove the given keys of a file, all of its lines without keys
+function setApproval(target, keys, approve, reviewer) {
+    const filePath = resolveTranslationFile(target);
+    const data = readJson(filePath);
+    const state = loadState(filePath) || createState();
+    const items = walkValues(data);
+    const selected = keys.length > 0 ? items.filter(item => keys.includes(item.key)) : items;
+    const missing = keys.filter(key => !items.some(item => item.key === key));
+    if (missing.length > 0) {
+        throw new Error(`Keys not found in ${relativePath(filePath)}: ${missing.map(key => JSON.stringify(key)).join(', ')}`);
+    }
+
+    let changed = 0;
+    for (const item of selected) {
+        if (approve) {
+            if (reviewState(state, item) !== 'approved') {
+                approveValue(state, data, item.path, reviewer);
+                changed++;
+            }
+        } else if (unapproveValue(state, item.path)) {
+            changed++;
+        }
+    }
+    if (changed > 0) {
+        saveState(filePath, state);
+    }
+    console.log(`✓ ${approve ? 'Approved' : 'Unapproved'} ${changed} lines in ${relativePath(filePath)}` +
+        (changed < selected.length ? ` (${selected.length - changed} already ${approve ? 'approved' : 'unapproved'})` : ''));
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                lines: { type: 'boolean' },
+                all: { type: 'boolean' },
+                json: { type: 'boolean' },
+                by: { type: 'string' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        USAGE.forEach(line => console.error(line));
+        process.exitCode = 2;
+        return;
+    }
+
+    const [command, ...rest] = args.positionals;
+    try {
+        if (command === 'approve' || command === 'unapprove') {
+            if (rest.length === 0) {
+                console.error(`${command} needs a scene`);
+                USAGE.forEach(line => console.error(line));
+                process.exitCode = 2;
+                return;
+            }
+            setApproval(rest[0], rest.slice(1), command === 'approve', args.values.by);
+        } else if (command === 'list') {
+            listFiles(rest, args.values);
+        } else {
+            listFiles(args.positionals, args.values);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,115 @@
+const zlib = require('zlib')
+const express = require('express')
+const { getCorpus, hashBody } = require('../lib/corpus')
+const { requireLocale, sendCached, sendError } = require('../lib/http')
+const { DEFAULT_LOCALE } = require('../lib/locales')
+const { createTar } = require('../lib/tar')
+
+// Many scenes in one download, for offline players and mirrors
+// Scene ids encode the story grouping: 10xxxxxx is the main story (1000xxxx the prologue, 1001xxxx section 1, ...),
+// 40xxxxxx and 61xxxxxx are event and character stories
+// /bundles                      groups (2 digit prefixes) and chapters (4 digit prefixes) with their sizes
+// /bundles/<prefix>[.json]      every scene whose id starts with the prefix, as one JSON object
+// /bundles/<prefix>.tar.gz      the same scenes as translation/scenes/<id>/<locale>.json files
+// /bundles/all[.json|.tar.gz]   names, titles and every scene
+// The locale is picked like on the file routes (?locale= or Accept-Language), and like there a scene
+// without it comes in the closest locale it has: under its own locale in the archive, listed in fallbackLocales in the JSON
+
+const corpus = getCorpus()
+// Groups, chapters and the full pack are built on first request and kept until the corpus version changes
+const cache = new Map()
+let cacheVersion = corpus.version
+const isCached = name => name === 'all' || name.length === 2 || name.length === 4
+
+const router = express.Router()
+
+const documentsOf = name => {
+    const sceneIds = name === 'all' ? corpus.sceneIds : corpus.sceneIds.filter(id => id.startsWith(name))
+    const ids = sceneIds.map(id => `scenes/${id}`)
+    return name === 'all' ? ['names', 'titles', ...ids] : ids
+}
+
+const buildJson = (name, locale, version, documents) => {
+    const payload = { name, locale, version }
+    const scenes = {}
+    const fallbackLocales = {}
+    for (const [id, served] of documents) {
+        if (id.startsWith('scenes/')) {
+            scenes[id.slice('scenes/'.length)] = served.entry.data
+        } else {
+            payload[id] = served.entry.data
+        }
+        if (served.locale !== locale) {
+            fallbackLocales[id] = served.locale
+        }
+    }
+    payload.scenes = scenes
+    payload.fallbackLocales = fallbackLocales
+    return payload
+}
+
+const buildBundle = (name, locale, format) => {
+    const documents = documentsOf(name)
+        .map(id => [id, corpus.negotiate(id, locale)])
+        .filter(([, served]) => served)
+    if (documents.length === 0) {
+        return null
+    }
+    const entries = documents.map(([, served]) => served.entry)
+    const hash = hashBody(`${format}\n${documents.map(([id, served]) => `${id}:${served.locale}:${served.entry.hash}`).join('\n')}`)
+    const lastModified = new Date(Math.max(...entries.map(entry => entry.lastModified.getTime())))
+    const locales = [...new Set(documents.map(([, served]) => served.locale))]
+    if (format === 'tar.gz') {
+        const tar = createTar(documents.map(([id, served]) => ({
+            name: `translation/${id}/${served.locale}.json`,
+            body: served.entry.body,
+            mtime: served.entry.lastModified
+        })))
+        return { body: zlib.gzipSync(tar), hash, lastModified, locales, type: 'application/gzip' }
+    }
+    return { body: Buffer.from(JSON.stringify(buildJson(name, locale, hash, documents))), hash, lastModified, locales }
+}
+
+const describe = sceneIds => ({
+    scenes: sceneIds.length,
+    size: sceneIds.reduce((sum, id) => sum + corpus.negotiate(`scenes/${id}`, DEFAULT_LOCALE).entry.size, 0)
+})
+
+router.get('/', (req, res) => {
+    const groups = {}
+    const chapters = {}
+    for (const [prefixes, length] of [[groups, 2], [chapters, 4]]) {
+        const ids = {}
+        corpus.sceneIds.forEach(id => (ids[id.slice(0, length)] = ids[id.slice(0, length)] || []).push(id))
+        Object.entries(ids).forEach(([prefix, sceneIds]) => (prefixes[prefix] = describe(sceneIds)))
+    }
+    res.json({ version: corpus.version, all: describe(corpus.sceneIds), groups, chapters })
+})
+
+router.get('/:name(\\d{1,8}|all):ext(\\.json|\\.tar\\.gz)?', (req, res) => {
+    const locale = requireLocale(req, res)
+    if (!locale) {
+        return
+    }
+    const { name } = req.params
+    const format = req.params.ext === '.tar.gz' ? 'tar.gz' : 'json'
+    if (cacheVersion !== corpus.version) {
+        cache.clear()
+        cacheVersion = corpus.version
+    }
+    const key = `${name}:${locale}:${format}`
+    const bundle = cache.get(key) || buildBundle(name, locale, format)
+    if (bundle && isCached(name)) {
+        cache.set(key, bundle)
+    }
+    if (!bundle) {
+        return sendError(res, 404, 'not_found', `No scenes start with ${name}`)
+    }
+    res.set('Content-Language', bundle.locales.join(', '))
+    if (format === 'tar.gz') {
+        res.attachment(`muvluvgg-${name}-${locale}.tar.gz`)
+    }
+    sendCached(req, res, bundle)
+})
+
+module.exports = router
@@ -0,0 +1,176 @@
+const crypto = require('crypto')
+const express = require('express')
+const { getCorpus } = require('../lib/corpus')
+const { CorrectionError, STATUSES, createCorrectionStore } = require('../lib/corrections')
+const { sendError } = require('../lib/http')
+const { DEFAULT_LOCALE } = require('../lib/locales')
+const { validateLine } = require('../lib/markup')
+
+// POST /corrections { scene, source, suggestion, note }: suggest a better English line for a scene
+// (at most SUBMISSION_LIMIT requests per client address in SUBMISSION_WINDOW, the pending queue is capped by the store)
+// Admin routes, with Authorization: Bearer <ADMIN_TOKEN> (disabled when ADMIN_TOKEN isn't set):
+// GET  /corrections[?status=pending|accepted|rejected]   the queue
+// GET  /corrections/<id>                                 one correction
+// POST /corrections/<id>/accept { by, override }         write the suggestion into the scene file
+//                                                        (override: even if the line changed or is approved)
+// POST /corrections/<id>/reject { by, reason }
+// The queue lives in corrections.json, so this needs a writable disk (not Vercel)
+
+const MAX_SUGGESTION_LENGTH = 2000
+const MAX_NOTE_LENGTH = 500
+const SUBMISSION_LIMIT = 10
+const SUBMISSION_WINDOW = 10 * 60 * 1000
+
+// Status of each refusal of the store (see lib/corrections.js)
+const ERROR_STATUS = {
+    queue_full: 503,
+    scene_queue_full: 503,
+    line_removed: 409,
+    line_changed: 409,
+    line_approved: 409,
+}
+
+const corpus = getCorpus()
+const store = createCorrectionStore()
+
+const router = express.Router()
+
+const digest = text => crypto.createHash('sha256').update(text).digest()
+
+const requireAdmin = (req, res, next) => {
+    const token = process.env.ADMIN_TOKEN
+    if (!token) {
+        return sendError(res, 503, 'admin_disabled', 'Admin routes are disabled, set ADMIN_TOKEN to enable them')
+    }
+    const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    if (!crypto.timingSafeEqual(digest(given), digest(token))) {
+        return sendError(res, 401, 'unauthorized', 'Invalid admin token')
+    }
+    next()
+}
+
+const findCorrection = (req, res, next) => {
+    req.correction = store.get(req.params.id)
+    if (!req.correction) {
+        return sendError(res, 404, 'correction_not_found', `No correction ${req.params.id}`)
+    }
+    next()
+}
+
+const requirePending = (req, res, next) => {
+    if (req.correction.status !== 'pending') {
+        return sendError(res, 409, 'already_reviewed', `Correction is already ${req.correction.status}`)
+    }
+    next()
+}
+
+// Writing the queue fails on read-only deployments, refusals of the store are answered as they are
+const saving = (res, action) => {
+    try {
+        return action()
+    } catch (err) {
+        if (err instanceof CorrectionError) {
+            sendError(res, ERROR_STATUS[err.code], err.code, err.message, err.details)
+            return null
+        }
+        console.error('Cannot update corrections:', err.message)
+        sendError(res, 503, 'read_only', 'Corrections cannot be saved on this server')
+        return null
+    }
+}
+
+const optionalString = value => value === undefined || value === null || typeof value === 'string'
+
+// Submissions per client address in fixed windows, kept in memory like the metrics (per instance, reset on restart)
+const submissions = new Map()
+
+const limitSubmissions = (req, res, next) => {
+    const now = Date.now()
+    for (const [address, window] of submissions) {
+        if (window.resetAt <= now) {
+            submissions.delete(address)
+        }
+    }
+    const window = submissions.get(req.ip) || { count: 0, resetAt: now + SUBMISSION_WINDOW }
+    window.count++
+    submissions.set(req.ip, window)
+    if (window.count > SUBMISSION_LIMIT) {
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000)
+        res.set('Retry-After', String(retryAfter))
+        return sendError(res, 429, 'rate_limited', `At most ${SUBMISSION_LIMIT} corrections every ${SUBMISSION_WINDOW / 60000} minutes`, { retryAfter })
+    }
+    next()
+}
+
+router.post('/', limitSubmissions, (req, res) => {
+    const { scene, source, suggestion, note } = req.body || {}
+    if (typeof scene !== 'string' || !/^\d+$/.test(scene)) {
+        return sendError(res, 400, 'invalid_scene_id', 'scene must be a scene id')
+    }
+    const entry = corpus.get(`scenes/${scene}`, DEFAULT_LOCALE)
+    if (!entry) {
+        return sendError(res, 404, 'scene_not_found', `No ${DEFAULT_LOCALE} translation of scene ${scene}`)
+    }
+    if (typeof source !== 'string' || !Object.prototype.hasOwnProperty.call(entry.data, source)) {
+        return sendError(res, 404, 'source_not_found', `Scene ${scene} has no such source line`)
+    }
+    if (typeof suggestion !== 'string' || !suggestion.trim() || suggestion.length > MAX_SUGGESTION_LENGTH) {
+        return sendError(res, 400, 'invalid_suggestion', `suggestion must be a non-empty string of at most ${MAX_SUGGESTION_LENGTH} characters`)
+    }
+    if (!optionalString(note) || (note && note.length > MAX_NOTE_LENGTH)) {
+        return sendError(res, 400, 'invalid_note', `note must be a string of at most ${MAX_NOTE_LENGTH} characters`)
+    }
+    // Same markup rules as validate-markup.js: tags, line breaks and the username placeholder must survive
+    const problems = validateLine(source, suggestion)
+    if (problems.length > 0) {
+        return sendError(res, 400, 'markup_broken', 'suggestion breaks the markup of the line', { problems })
+    }
+
+    const result = saving(res, () => store.submit({ scene, source, current: entry.data[source], suggestion, note: note || null }))
+    if (result) {
+        res.status(result.created ? 201 : 200).json({ id: result.correction.id, status: result.correction.status })
+    }
+})
+
+router.get('/', requireAdmin, (req, res) => {
+    const { status } = req.query
+    if (status !== undefined && !STATUSES.includes(status)) {
+        return sendError(res, 400, 'invalid_status', `status must be one of ${STATUSES.join(', ')}`)
+    }
+    const corrections = store.list(status)
+    res.json({ total: corrections.length, corrections })
+})
+
+router.get('/:id', requireAdmin, findCorrection, (req, res) => res.json(req.correction))
+
+router.post('/:id/accept', requireAdmin, findCorrection, requirePending, (req, res) => {
+    const { by, override } = req.body || {}
+    if (!optionalString(by) || (override !== undefined && typeof override !== 'boolean')) {
+        return sendError(res, 400, 'invalid_body', 'by must be a string and override a boolean')
+    }
+    try {
+        const correction = store.accept(req.correction.id, { by: by || null, override: override === true })
+        corpus.reloadDocument(`scenes/${correction.scene}`)
+        res.json(correction)
+    } catch (err) {
+        if (err instanceof CorrectionError) {
+            return sendError(res, ERROR_STATUS[err.code], err.code, err.message, err.details)
+        }
+        // A corrupt scene or state file, or a disk that can't be written
+        console.error(`Cannot accept correction ${req.correction.id}:`, err.message)
+        sendError(res, 500, 'internal_error', 'The correction could not be written')
+    }
+})
+
+router.post('/:id/reject', requireAdmin, findCorrection, requirePending, (req, res) => {
+    const { by, reason } = req.body || {}
+    if (!optionalString(by) || !optionalString(reason)) {
+        return sendError(res, 400, 'invalid_body', 'by and reason must be strings')
+    }
+    const correction = saving(res, () => store.reject(req.correction.id, { by: by || null, reason: reason || null }))
+    if (correction) {
+        res.json(correction)
+    }
+})
+
+module.exports = router
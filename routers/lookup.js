@@ -0,0 +1,30 @@
+const express = require('express')
+const { sendError } = require('../lib/http')
+const { getSearchIndex } = require('../lib/search-index')
+
+// /lookup?source=<Japanese line>: the translation of a source line and the scene it belongs to
+// Exact match (markup and line breaks aside) unless fuzzy=true, which returns the closest lines with a 0..1 score
+// limit (1-50, default 5) and threshold (0-1, default 0.5) tune the fuzzy matches
+
+// Built at startup rather than on the first request
+getSearchIndex()
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    const index = getSearchIndex()
+    const { source } = req.query
+    if (typeof source !== 'string' || !source.trim()) {
+        return sendError(res, 400, 'missing_source', 'source is required')
+    }
+    const fuzzy = req.query.fuzzy === 'true' || req.query.fuzzy === '1'
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50)
+    const threshold = req.query.threshold === undefined ? 0.5 : Number(req.query.threshold)
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+        return sendError(res, 400, 'invalid_threshold', 'threshold must be between 0 and 1')
+    }
+    const matches = fuzzy ? index.fuzzyLookup(source, { limit, threshold }) : index.lookup(source)
+    res.json({ source, fuzzy, locale: index.locale, matches })
+})
+
+module.exports = router
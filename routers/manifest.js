@@ -0,0 +1,22 @@
+const express = require('express')
+const { getCorpus } = require('../lib/corpus')
+const { sendCached } = require('../lib/http')
+
+// /manifest: every scene id, names and titles with the hash, size and date of each locale,
+// plus a global version that changes whenever anything does
+// Clients compare hashes with what they have and only download the scenes that changed
+
+const corpus = getCorpus()
+// Rebuilt when the corpus version changes
+let cached = null
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    if (!cached || cached.hash !== corpus.version) {
+        cached = { body: Buffer.from(JSON.stringify(corpus.manifest())), hash: corpus.version, lastModified: corpus.builtAt }
+    }
+    sendCached(req, res, cached)
+})
+
+module.exports = router
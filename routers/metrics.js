@@ -0,0 +1,16 @@
+const express = require('express')
+const { getMetrics } = require('../lib/metrics')
+
+// /metrics: request counters and latencies in the Prometheus text format, for scraping
+// Counted in memory since the server started (see lib/metrics.js)
+
+const metrics = getMetrics()
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    res.type('text/plain; version=0.0.4').send(metrics.prometheus())
+})
+
+module.exports = router
@@ -0,0 +1,35 @@
+const express = require('express')
+const { sendError } = require('../lib/http')
+const { getSearchIndex } = require('../lib/search-index')
+
+// /search?q=<text>: lines whose Japanese source or translation contains the text
+// in=source|translation|all (default all), scope=names|titles|scenes|scenes/<id> to narrow it down,
+// limit (1-100, default 20) and offset to page through the results
+
+const FIELDS = ['source', 'translation', 'all']
+
+// Built at startup rather than on the first request
+getSearchIndex()
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    const index = getSearchIndex()
+    const { q, scope } = req.query
+    const fields = req.query.in || 'all'
+    if (typeof q !== 'string' || !q.trim()) {
+        return sendError(res, 400, 'missing_query', 'q is required')
+    }
+    if (!FIELDS.includes(fields)) {
+        return sendError(res, 400, 'invalid_fields', `in must be one of ${FIELDS.join(', ')}`)
+    }
+    if (scope !== undefined && typeof scope !== 'string') {
+        return sendError(res, 400, 'invalid_scope', 'scope must be a single value')
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+    const { total, results } = index.search(q, { fields, scope, limit, offset })
+    res.json({ query: q, in: fields, scope: scope || null, locale: index.locale, total, offset, limit, results })
+})
+
+module.exports = router
@@ -0,0 +1,22 @@
+const express = require('express')
+const { sendError } = require('../lib/http')
+const { getMetrics } = require('../lib/metrics')
+
+// /stats[?limit=20]: the most requested scenes and the most requested scenes we don't have (404),
+// to decide which missing scenes to translate first
+// Counted in memory since the server started (see lib/metrics.js)
+
+const metrics = getMetrics()
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return sendError(res, 400, 'invalid_limit', 'limit must be a whole number between 1 and 1000')
+    }
+    res.set('Cache-Control', 'no-store')
+    res.json(metrics.sceneStats(limit))
+})
+
+module.exports = router
@@ -0,0 +1,106 @@
+const express = require('express')
+const { getServerConfig } = require('../lib/config')
+const { getCorpus } = require('../lib/corpus')
+const { requireLocale, sendCached, sendError } = require('../lib/http')
+const { createMirror } = require('../lib/mirror')
+const { createSceneFallback } = require('../lib/scene-fallback')
+
+// /translation/names, /translation/titles, /translation/scenes/<id>
+// The locale comes from ?locale=, then the file name (<locale>.json), then Accept-Language
+// zh_Hans.json is an alias of en.json for the existing game-side plugins
+// Where the files come from depends on files.mode (see lib/config.js):
+// - local: the corpus built at startup, lines missing from the locale filled in from its fallbacks (see lib/locales.js);
+//   a document without the locale is sent in the closest one it has, Content-Language says which
+// - redirect: a 302 to <locale>.json on the mirror, as stored there (no fallback)
+// - proxy: <locale>.json fetched from the mirror and cached on disk (no fallback)
+// Bodies are sent with ETag and Last-Modified for conditional requests
+// Scenes nobody has translated yet go to the fallback when it is enabled (see lib/scene-fallback.js):
+// its machine translation once there is one, a 202 with Retry-After while it is being made,
+// and the upstream Chinese originals for ?locale=zh_Hans
+// Nothing from the URL reaches the file system: scene ids and locales are checked first,
+// and in local mode scenes must be in the corpus, which lists what the translation directory actually holds
+
+const { files, fallback: fallbackConfig } = getServerConfig()
+const corpus = files.mode === 'local' ? getCorpus() : null
+const mirror = files.mode === 'local' ? null : createMirror(files)
+const fallback = fallbackConfig.enabled ? createSceneFallback(fallbackConfig) : null
+
+const router = express.Router()
+
+// Scene ids are 8 digits
+const SCENE_ID_PATTERN = /^\d{8}$/
+
+// { locale, entry } of a document, the locale being the one the entry is in
+const sources = {
+    local: async (id, locale) => corpus.negotiate(id, locale),
+    proxy: async (id, locale) => {
+        const entry = await mirror.get(`translation/${id}/${locale}.json`)
+        return entry && { locale, entry }
+    },
+}
+
+const serveFallback = async (req, res, sceneId, locale) => {
+    if (locale === 'zh_Hans') {
+        const original = await fallback.source(sceneId)
+        if (!original) {
+            return sendError(res, 404, 'scene_not_found', `No scene ${sceneId}`)
+        }
+        res.set('Content-Language', locale)
+        return sendCached(req, res, original)
+    }
+    const result = await fallback.request(sceneId)
+    if (result.state === 'missing') {
+        return sendError(res, 404, 'scene_not_found', `No scene ${sceneId}`)
+    }
+    if (result.state === 'ready') {
+        res.set({ 'Content-Language': locale, 'X-Translation': 'machine-fallback' })
+        return sendCached(req, res, result.entry)
+    }
+    res.set('Retry-After', String(fallback.retryAfter))
+    if (result.state === 'failed') {
+        return sendError(res, 503, 'translation_failed', `Scene ${sceneId} could not be translated`, { retryAfter: fallback.retryAfter })
+    }
+    if (result.state === 'full') {
+        return sendError(res, 503, 'fallback_busy', 'Too many scenes are waiting for translation', { retryAfter: fallback.retryAfter })
+    }
+    res.status(202).json({ scene: sceneId, status: result.state, position: result.position, retryAfter: fallback.retryAfter })
+}
+
+const serve = document => async (req, res) => {
+    const locale = requireLocale(req, res, req.params.file)
+    if (!locale) {
+        return
+    }
+    const id = document(req.params)
+    if (files.mode === 'redirect') {
+        return res.redirect(mirror.urlOf(`translation/${id}/${locale}.json`))
+    }
+    try {
+        const served = await sources[files.mode](id, locale)
+        if (!served && req.params.id && fallback) {
+            return await serveFallback(req, res, req.params.id, locale)
+        }
+        if (!served) {
+            return sendError(res, 404, req.params.id ? 'scene_not_found' : 'not_found', `No ${locale} translation for ${id}`)
+        }
+        res.set('Content-Language', served.locale)
+        sendCached(req, res, served.entry)
+    } catch (err) {
+        console.error(`Cannot fetch ${id} (${locale}):`, err.message)
+        sendError(res, 502, 'upstream_unavailable', 'The mirror or upstream could not be reached')
+    }
+}
+
+router.get('/names/:file?', serve(() => 'names'))
+router.get('/titles/:file?', serve(() => 'titles'))
+router.get('/scenes/:id/:file?', (req, res, next) => {
+    if (!SCENE_ID_PATTERN.test(req.params.id)) {
+        return sendError(res, 400, 'invalid_scene_id', 'Scene ids are 8 digits')
+    }
+    if (corpus && !fallback && !corpus.documents.has(`scenes/${req.params.id}`)) {
+        return sendError(res, 404, 'scene_not_found', `No scene ${req.params.id}`)
+    }
+    next()
+}, serve(params => `scenes/${params.id}`))
+
+module.exports = router
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const { TARGET_LOCALE, TRANSLATION_DIR, UPSTREAM_LOCALE, findTranslationFiles, readJson, relativePath, writeJson } = require('./lib/files');
+const { clearRemoved, createState, loadState, markRemoved, saveState, valueAt } = require('./lib/key-state');
+
+// Pull changes from the Chinese upstream (anosu/muvluvgg-translation) into our tree, offline
+// Takes a checkout or a downloaded archive of upstream and compares its names, titles and scenes with ours:
+// - upstream files are kept as they are in our zh_Hans.json, the Chinese originals
+// - new scene directories only get zh_Hans.json, translate-values.js writes their en.json
+// - new keys are added to en.json with the upstream (Chinese) value
+//   they have no state yet, so the next translate-values.js run translates them
+// - keys upstream removed are kept but flagged as removedUpstream in the state file
+// Values of keys we already have in en.json are never touched, they're our translations
+
+// Unpack a .zip/.tar(.gz) archive into a temporary directory
+function extractArchive(archivePath) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'muvluvgg-upstream-'));
+    if (archivePath.endsWith('.zip')) {
+        execFileSync('unzip', ['-q', archivePath, '-d', tempDir]);
+    } else {
+        execFileSync('tar', ['-xf', archivePath, '-C', tempDir]);
+    }
+    return tempDir;
+}
+
+// The translation directory of an upstream checkout
+// Archives from GitHub wrap everything in a <repo>-<branch> directory
+function findUpstreamTranslationDir(root) {
+    if (fs.existsSync(path.join(root, 'translation'))) {
+        return path.join(root, 'translation');
+    }
+    if (path.basename(root) === 'translation' && fs.existsSync(path.join(root, 'scenes'))) {
+        return root;
+    }
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        if (entry.isDirectory() && fs.existsSync(path.join(root, entry.name, 'translation'))) {
+            return path.join(root, entry.name, 'translation');
+        }
+    }
+    throw new Error(`No translation directory found in ${root}`);
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null;
+}
+
+// Merge upstream data into ours, new keys go right after the key upstream has before them
+// Returns the merged data plus the key paths that were added, are gone upstream or are in both
+function mergeUpstream(ours, upstream, parents = [], changes = { added: [], removed: [], kept: [] }) {
+    const inserts = new Map();
+    let anchor = null;
+    for (const key of Object.keys(upstream)) {
+        if (Object.prototype.hasOwnProperty.call(ours, key)) {
+            anchor = key;
+        } else {
+            if (!inserts.has(anchor)) {
+                inserts.set(anchor, []);
+            }
+            inserts.get(anchor).push(key);
+        }
+    }
+
+    const merged = {};
+    const addNew = (after) => {
+        for (const key of inserts.get(after) || []) {
+            merged[key] = upstream[key];
+            collectPaths(upstream[key], [...parents, key], changes.added);
+        }
+    };
+    addNew(null);
+    for (const [key, value] of Object.entries(ours)) {
+        const keyPath = [...parents, key];
+        if (!Object.prototype.hasOwnProperty.call(upstream, key)) {
+            merged[key] = value;
+            collectPaths(value, keyPath, changes.removed);
+        } else if (isObject(value) && isObject(upstream[key])) {
+            merged[key] = mergeUpstream(value, upstream[key], keyPath, changes).merged;
+        } else {
+            merged[key] = value;
+            changes.kept.push(keyPath);
+        }
+        addNew(key);
+    }
+    return { merged, changes };
+}
+
+// Key paths of every string value below a value
+function collectPaths(value, keyPath, paths) {
+    if (isObject(value)) {
+        Object.entries(value).forEach(([key, child]) => collectPaths(child, [...keyPath, key], paths));
+    } else if (typeof value === 'string') {
+        paths.push(keyPath);
+    }
+}
+
+// Compare one upstream file with ours and apply the result unless it's a dry run
+function syncFile(upstreamFile, ourFile, dryRun) {
+    const upstream = readJson(upstreamFile);
+    if (!dryRun) {
+        fs.mkdirSync(path.dirname(ourFile), { recursive: true });
+        writeJson(path.join(path.dirname(ourFile), `${UPSTREAM_LOCALE}.json`), upstream);
+    }
+    if (!fs.existsSync(ourFile)) {
+        const added = [];
+        collectPaths(upstream, [], added);
+        return { file: relativePath(ourFile), isNew: true, added: added.length, removed: 0, restored: 0 };
+    }
+
+    const ours = readJson(ourFile);
+    const { merged, changes } = mergeUpstream(ours, upstream);
+    const state = loadState(ourFile) || createState();
+    // Only keys newly flagged or unflagged count, the rest was handled by an earlier sync
+    const removed = changes.removed.filter(keyPath => markRemoved(state, keyPath, valueAt(ours, keyPath)));
+    const restored = changes.kept.filter(keyPath => clearRemoved(state, keyPath));
+    if (!dryRun) {
+        if (changes.added.length > 0) {
+            writeJson(ourFile, merged);
+        }
+        if (removed.length > 0 || restored.length > 0) {
+            saveState(ourFile, state);
+        }
+    }
+    return { file: relativePath(ourFile), isNew: false, added: changes.added.length, removed: removed.length, restored: restored.length };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                'dry-run': { type: 'boolean' },
+                json: { type: 'boolean' }
+            }
+        });
+        if (args.positionals.length !== 1) {
+            throw new Error('Expected exactly one upstream directory or archive');
+        }
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node sync-upstream.js [--dry-run] [--json] <upstream checkout or archive>');
+        process.exitCode = 2;
+        return;
+    }
+
+    const source = path.resolve(args.positionals[0]);
+    const dryRun = Boolean(args.values['dry-run']);
+    let tempDir = null;
+    const results = [];
+    try {
+        const root = fs.statSync(source).isDirectory() ? source : (tempDir = extractArchive(source));
+        const upstreamDir = findUpstreamTranslationDir(root);
+        for (const upstreamFile of findTranslationFiles(upstreamDir, UPSTREAM_LOCALE)) {
+            const ourFile = path.join(TRANSLATION_DIR, path.dirname(path.relative(upstreamDir, upstreamFile)), `${TARGET_LOCALE}.json`);
+            try {
+                results.push(syncFile(upstreamFile, ourFile, dryRun));
+            } catch (error) {
+                console.error(`Error syncing ${relativePath(ourFile)}:`, error.message);
+                process.exitCode = 1;
+            }
+        }
+    } catch (error) {
+        console.error(`Cannot read upstream ${source}:`, error.message);
+        process.exitCode = 2;
+        return;
+    } finally {
+        if (tempDir) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    const changed = results.filter(result => result.added > 0 || result.removed > 0 || result.restored > 0);
+    const summary = {
+        dryRun,
+        files: results.length,
+        newFiles: changed.filter(result => result.isNew).length,
+        changedFiles: changed.filter(result => !result.isNew).length,
+        // Keys without state, picked up by the next translate-values.js run
+        needsTranslation: changed.reduce((sum, result) => sum + result.added, 0),
+        removedUpstream: changed.reduce((sum, result) => sum + result.removed, 0),
+        restoredUpstream: changed.reduce((sum, result) => sum + result.restored, 0)
+    };
+
+    if (args.values.json) {
+        console.log(JSON.stringify({ summary, files: changed }, null, 2));
+        return;
+    }
+
+    for (const result of changed) {
+        const parts = [];
+        if (result.added > 0) {
+            parts.push(`${result.added} ${result.isNew ? 'keys (new file)' : 'new keys'}`);
+        }
+        if (result.removed > 0) {
+            parts.push(`${result.removed} removed upstream`);
+        }
+        if (result.restored > 0) {
+            parts.push(`${result.restored} back upstream`);
+        }
+        console.log(`${result.file}: ${parts.join(', ')}`);
+    }
+    console.log(`\n${dryRun ? '📋 Dry run, nothing written. ' : '✓ '}Compared ${summary.files} upstream files:` +
+        ` ${summary.newFiles} new, ${summary.changedFiles} changed`);
+    console.log(`  Keys needing machine translation: ${summary.needsTranslation}`);
+    console.log(`  Keys removed upstream (kept, flagged in state): ${summary.removedUpstream}`);
+    if (summary.restoredUpstream > 0) {
+        console.log(`  Keys back upstream: ${summary.restoredUpstream}`);
+    }
+    if (summary.needsTranslation > 0 && !dryRun) {
+        console.log('Translate them with: node translate-values.js');
+    }
+}
+
+main();
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const { after, before, describe, test } = require('node:test')
+const { MAX_PENDING_PER_SCENE } = require('../lib/corrections')
+
+// Correction submissions and moderation against a queue in a temporary file
+// None of these requests gets as far as writing a scene file
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'muvluvgg-corrections-'))
+const scene = JSON.parse(fs.readFileSync(path.join(__dirname, '../translation/scenes/10000101/en.json'), 'utf8'))
+const [source, translation] = Object.entries(scene)[0]
+
+const pending = (id, changes) => ({
+    id,
+    scene: '10000101',
+    source,
+    current: translation,
+    suggestion: `Suggestion ${id}`,
+    note: null,
+    status: 'pending',
+    submittedAt: new Date().toISOString(),
+    ...changes
+})
+
+const corrections = [
+    pending('changed', { current: 'What the line said before' }),
+    pending('removed', { source: 'この行はもうない' }),
+    ...Array.from({ length: MAX_PENDING_PER_SCENE - 2 }, (_, i) => pending(`filler-${i}`))
+]
+fs.writeFileSync(path.join(tempDir, 'corrections.json'), JSON.stringify({ version: 1, corrections }))
+
+process.env.FILES_MODE = 'local'
+process.env.FALLBACK = 'off'
+process.env.CORRECTIONS_FILE = path.join(tempDir, 'corrections.json')
+process.env.ADMIN_TOKEN = 'test-token'
+
+const app = require('../app')
+
+let server
+
+async function post(route, body, headers = {}) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    })
+    return { status: res.status, headers: res.headers, body: await res.json() }
+}
+
+const admin = { Authorization: 'Bearer test-token' }
+
+before(async () => {
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+})
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    fs.rmSync(tempDir, { recursive: true, force: true })
+})
+
+describe('accepting', () => {
+    test('a line that changed since the submission is a conflict', async () => {
+        const res = await post('/corrections/changed/accept', {}, admin)
+        assert.equal(res.status, 409)
+        assert.equal(res.body.code, 'line_changed')
+        assert.equal(res.body.current, translation)
+    })
+
+    test('a line that is gone is a conflict, even with override', async () => {
+        const res = await post('/corrections/removed/accept', { override: true }, admin)
+        assert.equal(res.status, 409)
+        assert.equal(res.body.code, 'line_removed')
+    })
+
+    test('override must be a boolean', async () => {
+        const res = await post('/corrections/changed/accept', { override: 'yes' }, admin)
+        assert.equal(res.status, 400)
+        assert.equal(res.body.code, 'invalid_body')
+    })
+
+    test('a refused accept leaves the correction pending', async () => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/corrections/changed`, { headers: admin })
+        assert.equal((await res.json()).status, 'pending')
+    })
+})
+
+describe('submitting', () => {
+    test('a scene with too many pending corrections takes no more', async () => {
+        const res = await post('/corrections', { scene: '10000101', source, suggestion: `${translation} Really.` })
+        assert.equal(res.status, 503)
+        assert.equal(res.body.code, 'scene_queue_full')
+    })
+
+    test('a client sending too many submissions is told to wait', async () => {
+        // One request went out in the test above
+        for (let i = 1; i < 10; i++) {
+            assert.notEqual((await post('/corrections', { scene: 'x' })).status, 429)
+        }
+        const res = await post('/corrections', { scene: 'x' })
+        assert.equal(res.status, 429)
+        assert.equal(res.body.code, 'rate_limited')
+        assert.ok(Number(res.headers.get('retry-after')) > 0)
+    })
+})
@@ -0,0 +1,27 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { importUnits } = require('../lib/exchange');
+const { readJson, resolveTranslationFile } = require('../lib/files');
+
+// Dry runs only, nothing is written to translation/
+
+const [source, translation] = Object.entries(readJson(resolveTranslationFile('10000101')))[0];
+
+test('a unit for an existing line is imported', () => {
+    const result = importUnits([{ scene: '10000101', path: [source], source, target: `${translation} Really.` }], { dryRun: true });
+    assert.equal(result.rejected.length, 0);
+    assert.equal(result.changed.length, 1);
+    assert.equal(result.changed[0].previous, translation);
+});
+
+test('key paths never resolve through inherited properties', () => {
+    const units = [
+        { scene: '10000101', path: ['constructor', 'name'], source: 'name', target: 'Name' },
+        { scene: '10000101', path: ['toString'], source: 'toString', target: 'String' },
+        { scene: '10000101', path: ['__proto__', 'x'], source: 'x', target: 'X' },
+        { scene: '10000101', path: [source, 'length'], source: 'length', target: 'Length' }
+    ];
+    const result = importUnits(units, { dryRun: true });
+    assert.equal(result.changed.length, 0);
+    assert.deepEqual(result.rejected.map(unit => unit.reason.startsWith('key not found')), [true, true, true, true]);
+});
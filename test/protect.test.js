@@ -0,0 +1,51 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { USERNAME, createProtector } = require('../lib/protect');
+
+const { protect, restore } = createProtector();
+
+// Tokens of a line with two bracket tags, ___TAG0___ and ___TAG1___
+const { tokens } = protect('〈A〉と〈B〉');
+
+const placeholders = issues => issues.map(issue => [issue.placeholder, issue.count]);
+
+test('placeholders come back as the tokens they stand for', () => {
+    const protectedLine = protect('〈A〉は<r=あ>亜</r>だ');
+    assert.equal(protectedLine.text, '___TAG0___は___RUBY0___だ');
+    assert.deepEqual(restore('___RUBY0___ is ___TAG0___', protectedLine.tokens), { text: '<r=あ>亜</r> is 〈A〉', issues: [] });
+});
+
+test('adjacent placeholders keep their own underscores', () => {
+    const adjacent = protect('〈A〉〈B〉');
+    assert.equal(adjacent.text, '___TAG0______TAG1___');
+    assert.deepEqual(restore('___TAG0______TAG1___', adjacent.tokens), { text: '〈A〉〈B〉', issues: [] });
+});
+
+test('mangled placeholders are restored', () => {
+    assert.deepEqual(restore('__TAG0__ and _tag1_', tokens), { text: '〈A〉 and 〈B〉', issues: [] });
+    assert.deepEqual(restore('TAG1 met TAG0', tokens), { text: '〈B〉 met 〈A〉', issues: [] });
+});
+
+test('a duplicated placeholder is reported, mangled or not', () => {
+    const result = restore('__TAG0__ and _TAG1_ and ___TAG0___', tokens);
+    assert.deepEqual(placeholders(result.issues), [['___TAG0___', 2]]);
+    assert.deepEqual(placeholders(restore('___TAG0___ ___TAG1___ ___TAG1___', tokens).issues), [['___TAG1___', 2]]);
+});
+
+test('a missing placeholder is reported', () => {
+    const result = restore('Only ___TAG1___ is left', tokens);
+    assert.equal(result.text, 'Only 〈B〉 is left');
+    assert.deepEqual(placeholders(result.issues), [['___TAG0___', 0]]);
+});
+
+test('a placeholder the line never had is reported as left over', () => {
+    const result = restore('___TAG0___, ___TAG1___ and ___TAG2___', tokens);
+    assert.equal(result.text, '〈A〉, 〈B〉 and ___TAG2___');
+    assert.deepEqual(result.issues, [{ rule: 'bracket', token: null, placeholder: '___TAG2___', count: 1, expected: 0 }]);
+});
+
+test('the player name survives a mangled surrogate', () => {
+    const protectedLine = protect(`${USERNAME}さん`);
+    assert.equal(protectedLine.text, 'Xeonisさん');
+    assert.deepEqual(restore('Mr. Xeois', protectedLine.tokens), { text: `Mr. ${USERNAME}`, issues: [] });
+});
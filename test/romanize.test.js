@@ -0,0 +1,29 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { isHiraganaName, romanize } = require('../lib/romanize');
+
+test('romanizes hiragana names the way the translations spell them', () => {
+    assert.equal(romanize('める'), 'Meru');
+    assert.equal(romanize('うるう'), 'Uruu');
+    assert.equal(romanize('しんや'), "Shin'ya");
+    assert.equal(romanize('まっちゃ'), 'Matcha');
+    assert.equal(romanize('めぐみ・あかね'), 'Megumi Akane');
+});
+
+test('small vowels after う turn it into w', () => {
+    assert.equal(romanize('うぃる'), 'Wiru');
+    assert.equal(romanize('ウェンディ'), 'Wendi');
+    assert.equal(romanize('ウォルト'), 'Woruto');
+});
+
+test('small vowels after other kana replace their vowel', () => {
+    assert.equal(romanize('ふぁ'), 'Fa');
+    assert.equal(romanize('てぃあ'), 'Tia');
+    assert.equal(romanize('ゔぁん'), 'Van');
+});
+
+test('only hiragana is taken for a name', () => {
+    assert.equal(isHiraganaName('ちゆる'), true);
+    assert.equal(isHiraganaName('ユリア'), false);
+    assert.equal(isHiraganaName('七彩'), false);
+});
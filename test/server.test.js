@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const { after, before, describe, test } = require('node:test')
+
+// Malicious and malformed paths against the translation routes, served from the local translation directory
+// Requests go out with http.get so the path reaches the server exactly as written (fetch would resolve ../)
+
+process.env.FILES_MODE = 'local'
+process.env.FALLBACK = 'off'
+process.env.ROOT_MODE = 'index'
+
+const app = require('../app')
+
+let server
+
+function get(path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, res => {
+            let body = ''
+            res.setEncoding('utf8')
+            res.on('data', chunk => { body += chunk })
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }))
+        }).on('error', reject)
+    })
+}
+
+// A structured JSON error with the given status and code, and nothing read from outside translation/
+async function expectError(path, status, code) {
+    const res = await get(path)
+    assert.equal(res.status, status, `${path}: ${res.body}`)
+    assert.match(res.headers['content-type'], /^application\/json/)
+    const body = JSON.parse(res.body)
+    assert.equal(body.code, code)
+    assert.equal(typeof body.error, 'string')
+    assert.doesNotMatch(res.body, /"dependencies"|"scripts"/)
+}
+
+before(async () => {
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+describe('path traversal', () => {
+    test('../ segments never leave the routes', async () => {
+        await expectError('/translation/scenes/../../package.json', 404, 'not_found')
+        await expectError('/translation/../package.json', 404, 'not_found')
+    })
+
+    test('%2e%2e%2f in a scene id is not a scene id', async () => {
+        await expectError('/translation/scenes/%2e%2e%2f%2e%2e%2fpackage.json', 400, 'invalid_scene_id')
+        await expectError('/translation/scenes/..%2F..%2Fpackage.json', 400, 'invalid_scene_id')
+    })
+
+    test('%2e%2e%2f in a file name is not a locale file', async () => {
+        await expectError('/translation/names/%2e%2e%2fpackage.json', 400, 'invalid_locale_file')
+        await expectError('/translation/titles/..%2f..%2fpackage.json', 400, 'invalid_locale_file')
+        await expectError('/translation/scenes/10000101/%2e%2e%2f%2e%2e%2f%2e%2e%2fpackage.json', 400, 'invalid_locale_file')
+    })
+
+    test('undecodable paths are a bad request', async () => {
+        await expectError('/translation/scenes/%E0%A4%A', 400, 'bad_request')
+    })
+})
+
+describe('scene ids', () => {
+    for (const id of ['1234', '123456789', 'abcdefgh', '1000010a', '-1000010', '10000101 ']) {
+        test(`${JSON.stringify(id)} is rejected`, async () => {
+            await expectError(`/translation/scenes/${encodeURIComponent(id)}`, 400, 'invalid_scene_id')
+        })
+    }
+
+    test('an unknown scene is not found', async () => {
+        await expectError('/translation/scenes/99999999', 404, 'scene_not_found')
+        await expectError('/translation/scenes/99999999/en.json', 404, 'scene_not_found')
+    })
+
+    test('a known scene is served', async () => {
+        const res = await get('/translation/scenes/10000101/en.json')
+        assert.equal(res.status, 200)
+        assert.equal(res.headers['content-language'], 'en')
+        assert.equal(typeof JSON.parse(res.body), 'object')
+    })
+})
+
+describe('locales', () => {
+    test('file names that are not <locale>.json are rejected', async () => {
+        for (const file of ['en.txt', 'en.json.bak', 'package.json', '.en.state.json', 'en']) {
+            await expectError(`/translation/names/${encodeURIComponent(file)}`, 400, 'invalid_locale_file')
+        }
+    })
+
+    test('a well-formed locale file we do not have is not found', async () => {
+        await expectError('/translation/names/xx.json', 404, 'unknown_locale')
+        await expectError('/translation/titles?locale=fr', 404, 'unknown_locale')
+    })
+
+    test('repeated ?locale= is rejected', async () => {
+        await expectError('/translation/names?locale=en&locale=zh_Hans', 400, 'invalid_locale')
+        await expectError('/translation/scenes/10000101?locale=en&locale=en', 400, 'invalid_locale')
+    })
+
+    test('malformed ?locale= is rejected', async () => {
+        await expectError('/translation/names?locale=../en', 400, 'invalid_locale')
+        await expectError('/translation/names?locale[]=en', 400, 'invalid_locale')
+    })
+})
+
+// 10000101 is translated and has no Chinese originals, 61000801 is not translated yet and only has them
+describe('locale negotiation', () => {
+    test('a scene without the locale asked for comes in the one it has', async () => {
+        for (const [path, headers] of [['/translation/scenes/10000101?locale=zh_Hans', {}], ['/translation/scenes/10000101', { 'Accept-Language': 'zh-CN' }]]) {
+            const res = await get(path, headers)
+            assert.equal(res.status, 200, `${path}: ${res.body}`)
+            assert.equal(res.headers['content-language'], 'en')
+        }
+    })
+
+    test('a scene nobody has translated is never labelled English', async () => {
+        for (const path of ['/translation/scenes/61000801/en.json', '/translation/scenes/61000801/zh_Hans.json', '/translation/scenes/61000801?locale=en']) {
+            const res = await get(path)
+            assert.equal(res.status, 200, `${path}: ${res.body}`)
+            assert.equal(res.headers['content-language'], 'zh_Hans')
+        }
+    })
+
+    test('bundles list the scenes sent in another locale', async () => {
+        const res = await get('/bundles/6100?locale=zh_Hans')
+        assert.equal(res.status, 200, res.body)
+        const bundle = JSON.parse(res.body)
+        assert.equal(bundle.locale, 'zh_Hans')
+        assert.equal(res.headers['content-language'], 'en, zh_Hans')
+        assert.equal(bundle.fallbackLocales['scenes/61000801'], undefined)
+        assert.equal(bundle.fallbackLocales['scenes/61000001'], 'en')
+        assert.ok('61000801' in bundle.scenes)
+    })
+})
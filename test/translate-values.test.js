@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { MANUAL, approveValue, createState, planFile, recordValues } = require('../lib/key-state');
+const { retranslatableItems, untranslatedItems } = require('../translate-values');
+
+// Keys picked by --untranslated and --force: hand edits and approved lines are never sent again
+
+function keys(items) {
+    return items.map(item => item.key).sort();
+}
+
+function scene() {
+    const data = {
+        '機械の訳': '这是机器翻译的句子。',
+        '手で書いた訳': '这是手写的句子。',
+        '承認した訳': '这是已经批准的句子。',
+        '状態のない訳': '这是没有状态的句子。',
+        '今編集した訳': '这是刚刚编辑的句子。'
+    };
+    const state = createState();
+    recordValues(state, data, [['機械の訳'], ['今編集した訳']], 'openai', 'gpt');
+    recordValues(state, data, [['手で書いた訳']], MANUAL);
+    approveValue(state, data, ['承認した訳']);
+    data['今編集した訳'] = '这是刚刚改过的句子。';
+    return { data, state };
+}
+
+test('--untranslated leaves values recorded as hand edits alone', () => {
+    const { data, state } = scene();
+    assert.deepEqual(keys(untranslatedItems(data, state, planFile(data, state))), ['機械の訳', '状態のない訳']);
+});
+
+test('--untranslated skips values that are already translated', () => {
+    const data = { '訳した': 'Translated.', '訳してない': '还没有翻译的句子。' };
+    const state = createState();
+    assert.deepEqual(keys(untranslatedItems(data, state, planFile(data, state))), ['訳してない']);
+});
+
+test('--force only retranslates machine translations', () => {
+    const { data, state } = scene();
+    assert.deepEqual(keys(retranslatableItems(data, state, planFile(data, state))), ['機械の訳']);
+});
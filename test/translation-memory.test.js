@@ -0,0 +1,37 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, test } = require('node:test');
+const { createTranslationMemory } = require('../lib/translation-memory');
+
+let tempDir;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'muvluvgg-memory-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('keeps entries across saves', () => {
+    const filePath = path.join(tempDir, 'memory.json');
+    const memory = createTranslationMemory(filePath);
+    memory.set('sugoi', 'default', 'こんにちは', 'Hello');
+    memory.save();
+    assert.equal(createTranslationMemory(filePath).get('sugoi', 'default', 'こんにちは'), 'Hello');
+});
+
+test('an unreadable memory is moved aside, not overwritten', () => {
+    const filePath = path.join(tempDir, 'memory.json');
+    fs.writeFileSync(filePath, '{ "version": 1, "entries": [', 'utf8');
+    const memory = createTranslationMemory(filePath);
+    memory.set('sugoi', 'default', 'こんにちは', 'Hello');
+    memory.save();
+
+    const corrupt = fs.readdirSync(tempDir).filter(name => name.startsWith('memory.json.corrupt-'));
+    assert.equal(corrupt.length, 1);
+    assert.equal(fs.readFileSync(path.join(tempDir, corrupt[0]), 'utf8'), '{ "version": 1, "entries": [');
+    assert.equal(createTranslationMemory(filePath).get('sugoi', 'default', 'こんにちは'), 'Hello');
+});
@@ -1,601 +1,222 @@
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
+const { parseArgs } = require('util');
+const { BACKENDS, createBackend } = require('./lib/backends');
+const { loadConfig } = require('./lib/config');
+const { createScheduler } = require('./lib/scheduler');
+const { sideBySideDiff, unifiedDiff } = require('./lib/diff');
+const { createGlossary } = require('./lib/glossary');
+const { createProtector, DEFAULT_RULES } = require('./lib/protect');
+const { TARGET_LOCALE, TRANSLATION_DIR, UPSTREAM_LOCALE, findMissingTranslationFiles, findTranslationFiles, readJson, relativePath, writeJson } = require('./lib/files');
+const { MANUAL, applyEdits, createState, getEntry, isApproved, loadState, planFile, recordValues, saveState, valueAt, walkValues } = require('./lib/key-state');
+const { mergeValues, pickPaths, scanTranslation } = require('./lib/language');
+const { lineContext, translateObjectValues } = require('./lib/pipeline');
+const { createTranslationMemory } = require('./lib/translation-memory');
+const { createFailedLinesLedger } = require('./lib/failed-lines');
+const { checkLabels, collectKnownNames, isLabelFile, translateLabel } = require('./lib/labels');
 
-// Sugoi Offline Translator API configuration
-const SUGOI_PORTS = [14366];
-const SUGOI_PATH = '/';
+// Glossary report: lines where a term was found in the source but is missing in the output
+const GLOSSARY_REPORT_FILE = path.join(__dirname, 'glossary-report.json');
 
-// Extract and preserve fullwidth bracket tags 〈...〉
-// Pattern: 〈[optional prefix like r=]Japanese text〉
-// We keep the tag content in Japanese, just preserve the tag structure and position
-// Use English placeholders that Sugoi won't translate
-function extractAndPreserveTags(text) {
-    // Match fullwidth bracket tags: 〈...〉 (U+3008 and U+3009)
-    const tagPattern = /〈([^〉]+)〉/g;
-    let tagIndex = 0;
-    const tagMap = new Map();
-    
-    // Find all tags first
-    const matches = [];
-    let match;
-    
-    // Reset regex lastIndex to ensure we find all matches
-    tagPattern.lastIndex = 0;
-    while ((match = tagPattern.exec(text)) !== null) {
-        matches.push({
-            fullTag: match[0], // e.g., 〈r=メインシャフト〉 or 〈プライマル・ベルト〉
-            index: match.index
-        });
-    }
-    
-    // Process tags in reverse order to preserve indices when replacing
-    let processedText = text;
-    for (let i = matches.length - 1; i >= 0; i--) {
-        const match = matches[i];
-        const fullTag = match.fullTag;
-        
-        // Create a unique placeholder with English text that won't be translated
-        // Use format: ___TAG0___, ___TAG1___, etc.
-        const placeholder = `___TAG${tagIndex}___`;
-        // Store the original tag to restore later
-        tagMap.set(placeholder, fullTag);
-        
-        // Replace the original tag with placeholder (working backwards preserves indices)
-        processedText = processedText.substring(0, match.index) + 
-                       placeholder + 
-                       processedText.substring(match.index + fullTag.length);
-        tagIndex++;
-    }
-    
-    return { processedText, tagMap };
+// Protection report: lines where a protected token didn't survive translation exactly once
+const PROTECTION_REPORT_FILE = path.join(__dirname, 'protection-report.json');
+
+// Names report: names and titles rendered differently in different places (lib/labels.js)
+const NAMES_REPORT_FILE = path.join(__dirname, 'names-report.json');
+const NAMES_FILE = path.join(TRANSLATION_DIR, 'names', `${TARGET_LOCALE}.json`);
+const TITLES_FILE = path.join(TRANSLATION_DIR, 'titles', `${TARGET_LOCALE}.json`);
+
+function readJsonIfExists(filePath) {
+    return fs.existsSync(filePath) ? readJson(filePath) : null;
 }
 
-// Restore tags after translation
-// Handle variations where Sugoi might slightly modify the placeholder
-// ONLY handles fullwidth bracket tag placeholders (___TAG0___, etc.)
-// Does NOT interfere with username placeholders or HTML tags (<color>, </material>, etc.)
-function restoreTags(text, tagMap) {
-    let restored = text;
-    // Sort placeholders by index (highest first) to avoid conflicts when replacing
-    const sortedEntries = Array.from(tagMap.entries()).sort((a, b) => {
-        const aMatch = a[0].match(/TAG(\d+)/);
-        const bMatch = b[0].match(/TAG(\d+)/);
-        const aIndex = aMatch ? parseInt(aMatch[1], 10) : 0;
-        const bIndex = bMatch ? parseInt(bMatch[1], 10) : 0;
-        return bIndex - aIndex; // Highest first
-    });
-    
-    for (const [placeholder, tag] of sortedEntries) {
-        // Extract the tag index - must be a TAG placeholder, not username
-        const indexMatch = placeholder.match(/^___TAG(\d+)___$/);
-        if (indexMatch) {
-            const index = indexMatch[1];
-            
-            // Try exact match first (most reliable)
-            const exactPattern = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-            if (exactPattern.test(restored)) {
-                // Add spacing around the tag when replacing exact matches
-                restored = restored.replace(exactPattern, (match, offset) => {
-                    const beforeIndex = offset - 1;
-                    const afterIndex = offset + match.length;
-                    const needsSpaceBefore = beforeIndex >= 0 && 
-                        /[a-zA-Z0-9%]/.test(restored[beforeIndex]) && 
-                        !/\s/.test(restored[beforeIndex]);
-                    const needsSpaceAfter = afterIndex < restored.length && 
-                        /[a-zA-Z0-9%]/.test(restored[afterIndex]) && 
-                        !/\s/.test(restored[afterIndex]);
-                    
-                    let result = tag;
-                    if (needsSpaceBefore) result = ' ' + result;
-                    if (needsSpaceAfter) result = result + ' ';
-                    return result;
-                });
-                continue;
-            }
-            
-            // Try flexible pattern to match variations like:
-            // ___TAG0___, __TAG0___, _TAG0___, TAG0___, _tag0___, etc.
-            // But make sure it doesn't match:
-            // - Username placeholder patterns (USERNAME_PLACEHOLDER)
-            // - HTML tags (<color>, </material>, etc.)
-            // Match only standalone TAG placeholders surrounded by word boundaries or non-alphanumeric chars
-            const flexiblePattern = new RegExp(
-                `(?:^|[^_a-zA-Z0-9%])_+[Tt][Aa][Gg]${index}_+(?![a-zA-Z0-9%<])`,
-                'g'
-            );
-            
-            // Find all matches and replace (working backwards to preserve indices)
-            const matches = [];
-            let match;
-            while ((match = flexiblePattern.exec(restored)) !== null) {
-                const matchedText = match[0];
-                const startIndex = match.index;
-                const beforeChar = match[1] || '';
-                
-                // Check context around the match to ensure it's not part of:
-                // 1. USERNAME_PLACEHOLDER
-                // 2. HTML tags like <color> or </material>
-                const contextStart = Math.max(0, startIndex - 30);
-                const contextEnd = Math.min(restored.length, startIndex + matchedText.length + 30);
-                const context = restored.substring(contextStart, contextEnd);
-                
-                // Skip if it's part of USERNAME_PLACEHOLDER
-                if (context.includes('USERNAME_PLACEHOLDER')) {
-                    continue;
-                }
-                
-                // Skip if it's part of HTML tags (<color>, </material>, etc.)
-                if (/<[^>]*(?:color|material)/i.test(context)) {
-                    continue;
+// Check every translated value of a file against the glossary
+function checkGlossary(filePath, data, glossary) {
+    const file = relativePath(filePath);
+    const report = [];
+    const visit = (obj) => {
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'object' && value !== null) {
+                visit(value);
+            } else if (typeof value === 'string') {
+                const missing = glossary.checkLine(key, value);
+                if (missing.length > 0) {
+                    report.push({ file, key, value, missing });
                 }
-                
-                // Valid match - store for replacement
-                matches.push({
-                    index: startIndex,
-                    length: matchedText.length,
-                    beforeChar: beforeChar,
-                    fullMatch: matchedText
-                });
-            }
-            
-            // Replace matches in reverse order to preserve indices
-            for (let i = matches.length - 1; i >= 0; i--) {
-                const m = matches[i];
-                // Add spacing around the tag for readability (tags are usually nouns)
-                // Check if we need to add space before the tag
-                const beforeIndex = m.index - 1;
-                const needsSpaceBefore = beforeIndex >= 0 && 
-                    /[a-zA-Z0-9%]/.test(restored[beforeIndex]) && 
-                    !/\s/.test(restored[beforeIndex]);
-                
-                // Check if we need to add space after the tag
-                const afterIndex = m.index + m.length;
-                const needsSpaceAfter = afterIndex < restored.length && 
-                    /[a-zA-Z0-9%]/.test(restored[afterIndex]) && 
-                    !/\s/.test(restored[afterIndex]);
-                
-                let replacement = m.beforeChar;
-                if (needsSpaceBefore) replacement += ' ';
-                replacement += tag;
-                if (needsSpaceAfter) replacement += ' ';
-                
-                restored = restored.substring(0, m.index) + replacement + restored.substring(m.index + m.length);
             }
-        } else {
-            // Fallback: exact match only (shouldn't happen with our placeholder format)
-            const exactPattern = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-            restored = restored.replace(exactPattern, tag);
         }
-    }
-    
-    return restored;
+    };
+    visit(data);
+    return report;
 }
 
-// Translate Japanese to English using Sugoi Offline Translator
-function translateWithSugoi(japaneseText, port = null) {
-    return new Promise((resolve, reject) => {
-        if (!japaneseText || japaneseText.trim() === '') {
-            resolve(japaneseText);
-            return;
-        }
-
-        // Sugoi API format: {message: "translate sentences", content: "text to translate"}
-        const requestFormats = [
-            { message: 'translate sentences', content: japaneseText }
-        ];
-
-        const portsToTry = port ? [port] : SUGOI_PORTS;
-        
-        const tryTranslation = (portIndex, formatIndex) => {
-            if (portIndex >= portsToTry.length) {
-                console.error(`Failed to translate after trying all ports and formats`);
-                resolve(japaneseText); // Fallback to original
-                return;
-            }
-
-            const currentPort = portsToTry[portIndex];
-            const postData = JSON.stringify(requestFormats[formatIndex]);
-
-            const options = {
-                hostname: 'localhost',
-                port: currentPort,
-                path: SUGOI_PATH,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData)
-                },
-                timeout: 60000  // 60 seconds - translation can take time
-            };
-
-            const req = http.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                res.on('end', () => {
-                    try {
-                        // Sugoi API returns the translation directly as a JSON string
-                        const result = JSON.parse(data);
-                        // The result is the translation string itself (not wrapped in an object)
-                        if (typeof result === 'string') {
-                            resolve(result);
-                            return;
-                        } else {
-                            // If it's an object, try common fields
-                            const translation = result.content || result.translation || result.text || JSON.stringify(result);
-                            resolve(translation);
-                            return;
-                        }
-                    } catch (error) {
-                        // Try next format
-                        if (formatIndex < requestFormats.length - 1) {
-                            tryTranslation(portIndex, formatIndex + 1);
-                        } else {
-                            // Try next port
-                            tryTranslation(portIndex + 1, 0);
-                        }
-                    }
-                });
-            });
-
-            req.on('error', (error) => {
-                // Try next format or port
-                if (formatIndex < requestFormats.length - 1) {
-                    tryTranslation(portIndex, formatIndex + 1);
-                } else {
-                    tryTranslation(portIndex + 1, 0);
-                }
-            });
-
-            req.on('timeout', () => {
-                req.destroy();
-                if (formatIndex < requestFormats.length - 1) {
-                    tryTranslation(portIndex, formatIndex + 1);
-                } else {
-                    tryTranslation(portIndex + 1, 0);
-                }
-            });
+function saveReport(filePath, report) {
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(report, null, 2), 'utf8');
+    } catch (error) {
+        console.error(`Could not save ${path.basename(filePath)}:`, error.message);
+    }
+}
 
-            req.write(postData);
-            req.end();
-        };
+// Every translation file, and the ones to write for scenes that only have upstream's file so far
+function filesToTranslate(dirPath) {
+    return [...findTranslationFiles(dirPath), ...findMissingTranslationFiles(dirPath)].sort();
+}
 
-        tryTranslation(0, 0);
-    });
+// A file that doesn't exist yet starts as a copy of upstream's, every key of it is new
+function readTranslationData(filePath) {
+    const upstreamFile = path.join(path.dirname(filePath), `${UPSTREAM_LOCALE}.json`);
+    return readJson(!fs.existsSync(filePath) && fs.existsSync(upstreamFile) ? upstreamFile : filePath);
 }
 
-// Recursively translate all values in the object
-async function translateObjectValues(obj, delayCounter = { count: 0 }) {
-    if (Array.isArray(obj)) {
-        const result = [];
-        for (const item of obj) {
-            if (typeof item === 'object' && item !== null) {
-                result.push(await translateObjectValues(item, delayCounter));
-            } else if (typeof item === 'string') {
-                // Translate array items if they're strings
-                result.push(await translateWithSugoi(item));
-                delayCounter.count++;
-                if (delayCounter.count % 10 === 0) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-            } else {
-                result.push(item);
-            }
-        }
-        return result;
-    } else if (typeof obj === 'object' && obj !== null) {
-        const result = {};
-        const keys = Object.keys(obj);
-        
-        for (let i = 0; i < keys.length; i++) {
-            const key = keys[i];
-            const value = obj[key];
-            
-            // Recursively translate nested objects
-            if (typeof value === 'object' && value !== null) {
-                result[key] = await translateObjectValues(value, delayCounter);
-            } else if (typeof value === 'string') {
-                // Translate the Japanese key to English and use it as the value
-                // Preserve all special formatting (newlines, color/material tags, etc.)
-                // Only split when \n is encountered, otherwise send whole line to Sugoi
-                // Preserve %usernameusernameuserna% pattern and all %user...na% variations
-                
-                let finalTranslation;
-                
-                // Preserve ALL username patterns (%user...na% variations) by replacing with real name
-                // Using "Xeonis" as a placeholder name - Sugoi translates it more naturally
-                // This protects: %usernameusernameuserna%, %user...na%, etc.
-                const usernamePattern = /%user[^%]*na%/gi;
-                const realNamePlaceholder = 'Xeonis';
-                const usernameMatches = key.match(usernamePattern);
-                const hasUsername = usernameMatches && usernameMatches.length > 0;
-                const keyWithPlaceholder = key.replace(usernamePattern, realNamePlaceholder);
-                
-                // Extract fullwidth bracket tags 〈...〉 before processing
-                // Keep tag content in Japanese, just preserve structure and position
-                const { processedText: textWithTagPlaceholders, tagMap } = extractAndPreserveTags(keyWithPlaceholder);
-                
-                // If key contains newlines, split and translate each part separately
-                if (textWithTagPlaceholders.includes('\n')) {
-                    const originalParts = textWithTagPlaceholders.split('\n');
-                    const translatedParts = [];
-                    
-                    for (let i = 0; i < originalParts.length; i++) {
-                        const part = originalParts[i];
-                        if (part.trim()) {
-                            // Send the whole part to Sugoi (including any tags like <color=...>)
-                            let translated = await translateWithSugoi(part);
-                            
-                            // Clean up unwanted HTML artifacts that Sugoi might add
-                            // But preserve color/material tags
-                            translated = translated
-                                .replace(/<br\s*\/?>/gi, '')  // Remove <br> tags
-                                .replace(/<b>/gi, '')         // Remove <b> tags
-                                .replace(/<\/b>/gi, '')       // Remove </b> tags
-                                .trim();
-                            
-                            // Restore real name placeholder - replace with correct pattern
-                            // Handle variations that Sugoi might introduce (Xeonis, Xeois, Xeons, Xeonys, etc.)
-                            const nameVariations = [
-                                'Xeonis', 'xeonis', 'XEONIS',
-                                'Xeois', 'xeois', 'XEOIS',
-                                'Xeons', 'xeons', 'XEONS',
-                                'Xeonys', 'xeonys', 'XEONYS',
-                                'Xeony', 'xeony', 'XEONY',
-                                'Xeoni', 'xeoni', 'XEONI',
-                                'Xeonyis', 'xeonyis', 'XEONYIS',
-                                'Xeonsis', 'xeonsis', 'XEONSIS',
-                                'Xeon', 'xeon', 'XEON'
-                            ];
-                            
-                            for (const name of nameVariations) {
-                                translated = translated.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '%usernameusernameuserna%');
-                            }
-                            
-                            // Also catch any old technical placeholders
-                            translated = translated.replace(/_+USERNAME[_\s-]*PLACEHOLDER[_\s-]*XYZ123[_\s-]*/gi, '%usernameusernameuserna%');
-                            
-                            translatedParts.push(translated);
-                        } else {
-                            // Preserve empty lines
-                            translatedParts.push('');
-                        }
-                        
-                        // Small delay between translations
-                        if (i < originalParts.length - 1) {
-                            await new Promise(resolve => setTimeout(resolve, 50));
-                        }
-                    }
-                    
-                    // Join with \n to preserve exact structure
-                    finalTranslation = translatedParts.join('\n');
-                    
-                    // Restore real name placeholder FIRST (before tag restoration)
-                    // Handle variations that Sugoi might introduce (Xeonis, Xeois, Xeons, Xeonys, etc.)
-                    const nameVariations = [
-                        'Xeonis', 'xeonis', 'XEONIS',
-                        'Xeois', 'xeois', 'XEOIS',
-                        'Xeons', 'xeons', 'XEONS',
-                        'Xeonys', 'xeonys', 'XEONYS',
-                        'Xeony', 'xeony', 'XEONY',
-                        'Xeoni', 'xeoni', 'XEONI',
-                        'Xeonyis', 'xeonyis', 'XEONYIS',
-                        'Xeonsis', 'xeonsis', 'XEONSIS',
-                        'Xeon', 'xeon', 'XEON'
-                    ];
-                    
-                    for (const name of nameVariations) {
-                        finalTranslation = finalTranslation.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '%usernameusernameuserna%');
-                    }
-                    
-                    // Also catch any old technical placeholders (with various spacing/formatting)
-                    finalTranslation = finalTranslation.replace(/_+USERNAME[_\s-]*PLACEHOLDER[_\s-]*XYZ123[_\s-]*/gi, '%usernameusernameuserna%');
-                    
-                    // Then restore fullwidth bracket tags (only 〈...〉 tags)
-                    finalTranslation = restoreTags(finalTranslation, tagMap);
-                    
-                    // Restore name variations again after tag restoration
-                    for (const name of nameVariations) {
-                        finalTranslation = finalTranslation.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '%usernameusernameuserna%');
-                    }
-                    
-                    // Final pass for any username variations that might have been introduced by translation
-                    finalTranslation = finalTranslation.replace(/%user[^%]*na%/gi, '%usernameusernameuserna%');
-                    
-                    // Add proper spacing around username pattern for readability
-                    // Only match the exact pattern %usernameusernameuserna% (not percentages like 100%)
-                    // Handle honorifics like "san", "kun", etc. with hyphen
-                    // First, handle honorifics that might be attached
-                    const honorificPattern = /(%usernameusernameuserna%)\s*([a-z]+)\b/gi;
-                    finalTranslation = finalTranslation.replace(honorificPattern, (match, username, honorific) => {
-                        const commonHonorifics = ['san', 'kun', 'chan', 'sama', 'senpai', 'sensei', 'dono'];
-                        if (commonHonorifics.includes(honorific.toLowerCase())) {
-                            return `${username}-${honorific}`;
-                        }
-                        return match;
-                    });
-                    // Add spaces before if preceded by alphanumeric, add spaces after if followed by alphanumeric
-                    // But don't add space if it's already followed by a hyphen (for honorifics)
-                    finalTranslation = finalTranslation.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2 $3');
-                    finalTranslation = finalTranslation.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)(?!-)/g, '$1 $2');
-                    finalTranslation = finalTranslation.replace(/(?<!-)(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2');
-                    
-                    // Normalize curly quotes/apostrophes to straight ones
-                    // Replace all curly apostrophe variations (U+2019, U+2018, U+201B, U+201A)
-                    finalTranslation = finalTranslation
-                        .replace(/[\u2019\u2018\u201B\u201A]/g, "'")  // Replace all curly apostrophe variations
-                        .replace(/[\u201C\u201E\u201F]/g, '"')   // Replace left double quotes
-                        .replace(/[\u201D\u201C]/g, '"');    // Replace right double quotes
-                } else {
-                    // No newlines, send whole key to Sugoi (including any tags)
-                    finalTranslation = await translateWithSugoi(textWithTagPlaceholders);
-                    
-                    // Clean up unwanted HTML artifacts (but preserve color/material tags)
-                    finalTranslation = finalTranslation
-                        .replace(/<br\s*\/?>/gi, '')
-                        .replace(/<b>/gi, '')
-                        .replace(/<\/b>/gi, '')
-                        .trim();
-                    
-                    // Restore real name placeholder FIRST (before tag restoration)
-                    if (hasUsername) {
-                        // Handle variations that Sugoi might introduce (Xeonis, Xeois, Xeons, Xeonys, etc.)
-                        const nameVariations = [
-                            'Xeonis', 'xeonis', 'XEONIS',
-                            'Xeois', 'xeois', 'XEOIS',
-                            'Xeons', 'xeons', 'XEONS',
-                            'Xeonys', 'xeonys', 'XEONYS',
-                            'Xeony', 'xeony', 'XEONY',
-                            'Xeoni', 'xeoni', 'XEONI',
-                            'Xeonyis', 'xeonyis', 'XEONYIS',
-                            'Xeonsis', 'xeonsis', 'XEONSIS',
-                            'Xeon', 'xeon', 'XEON'
-                        ];
-                        
-                        for (const name of nameVariations) {
-                            finalTranslation = finalTranslation.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '%usernameusernameuserna%');
-                        }
-                    }
-                    
-                    // Also catch any old technical placeholders (with various spacing/formatting)
-                    finalTranslation = finalTranslation.replace(/_+USERNAME[_\s-]*PLACEHOLDER[_\s-]*XYZ123[_\s-]*/gi, '%usernameusernameuserna%');
-                    
-                    // Then restore fullwidth bracket tags (only 〈...〉 tags)
-                    finalTranslation = restoreTags(finalTranslation, tagMap);
-                    
-                    // Restore name variations again after tag restoration
-                    if (hasUsername) {
-                        const nameVariations = [
-                            'Xeonis', 'xeonis', 'XEONIS',
-                            'Xeois', 'xeois', 'XEOIS',
-                            'Xeons', 'xeons', 'XEONS'
-                        ];
-                        
-                        for (const name of nameVariations) {
-                            finalTranslation = finalTranslation.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '%usernameusernameuserna%');
-                        }
-                    }
-                    
-                    // Final pass for any username variations that might have been introduced by translation
-                    finalTranslation = finalTranslation.replace(/%user[^%]*na%/gi, '%usernameusernameuserna%');
-                    
-                    // Add proper spacing around username pattern for readability
-                    // Only match the exact pattern %usernameusernameuserna% (not percentages like 100%)
-                    // Handle honorifics like "san", "kun", etc. with hyphen
-                    // First, handle honorifics that might be attached
-                    const honorificPattern = /(%usernameusernameuserna%)\s*([a-z]+)\b/gi;
-                    finalTranslation = finalTranslation.replace(honorificPattern, (match, username, honorific) => {
-                        const commonHonorifics = ['san', 'kun', 'chan', 'sama', 'senpai', 'sensei', 'dono'];
-                        if (commonHonorifics.includes(honorific.toLowerCase())) {
-                            return `${username}-${honorific}`;
-                        }
-                        return match;
-                    });
-                    // Add spaces before if preceded by alphanumeric, add spaces after if followed by alphanumeric
-                    // But don't add space if it's already followed by a hyphen (for honorifics)
-                    finalTranslation = finalTranslation.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2 $3');
-                    finalTranslation = finalTranslation.replace(/([a-zA-Z0-9])(%usernameusernameuserna%)(?!-)/g, '$1 $2');
-                    finalTranslation = finalTranslation.replace(/(?<!-)(%usernameusernameuserna%)([a-zA-Z0-9])/g, '$1 $2');
-                    
-                    // Normalize curly quotes/apostrophes to straight ones
-                    // Replace all curly apostrophe variations (U+2019, U+2018, U+201B, U+201A)
-                    finalTranslation = finalTranslation
-                        .replace(/[\u2019\u2018\u201B\u201A]/g, "'")  // Replace all curly apostrophe variations
-                        .replace(/[\u201C\u201E\u201F]/g, '"')   // Replace left double quotes
-                        .replace(/[\u201D\u201C]/g, '"');    // Replace right double quotes
-                }
-                
-                result[key] = finalTranslation;
-                
-                // Add small delay to avoid overwhelming the server
-                delayCounter.count++;
-                if (delayCounter.count % 10 === 0) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-            } else {
-                result[key] = value;
-            }
-        }
-        return result;
+function countKeys(options, counter, amount) {
+    if (options.keyStats) {
+        options.keyStats[counter] += amount;
     }
-    return obj;
 }
 
-// Tracking file to store list of translated files
-const TRACKING_FILE = path.join(__dirname, 'translated-files.json');
+// --force: keys that are up to date but were machine translated, so they are translated again
+// Approved keys and values edited by hand are still left alone
+function retranslatableItems(data, state, plan) {
+    const planned = new Set([...plan.pending, ...plan.edited].map(item => JSON.stringify(item.path)));
+    return walkValues(data).filter((item) => {
+        const entry = getEntry(state, item.path);
+        return !planned.has(JSON.stringify(item.path)) && entry && !isApproved(entry) && entry.backend !== MANUAL;
+    });
+}
 
-// Load list of translated files
-function loadTranslatedFiles() {
-    try {
-        if (fs.existsSync(TRACKING_FILE)) {
-            const content = fs.readFileSync(TRACKING_FILE, 'utf8');
-            return new Set(JSON.parse(content));
-        }
-    } catch (error) {
-        console.warn('Could not load tracking file:', error.message);
-    }
-    return new Set();
+// --untranslated: keys whose value is still Chinese or Japanese
+// Approved keys and values edited by hand, in this run or an earlier one, are left alone like with --force
+function untranslatedItems(data, state, plan) {
+    const edited = new Set(plan.edited.map(item => JSON.stringify(item.path)));
+    return scanTranslation(data).untranslated.filter((item) => {
+        const entry = getEntry(state, item.path);
+        return !edited.has(JSON.stringify(item.path)) && !isApproved(entry) && !(entry && entry.backend === MANUAL);
+    });
 }
 
-// Save list of translated files
-function saveTranslatedFiles(translatedFiles) {
-    try {
-        const fileArray = Array.from(translatedFiles);
-        fs.writeFileSync(TRACKING_FILE, JSON.stringify(fileArray, null, 2), 'utf8');
-    } catch (error) {
-        console.error('Could not save tracking file:', error.message);
+// --diff/--diff-report: compare the values of a file before and after translation
+// Changed keys are printed and/or collected, keys that came out the same are only counted
+function recordDiff(filePath, data, keyPaths, before, options) {
+    if (!options.diff) {
+        return;
+    }
+    const file = relativePath(filePath);
+    const changes = keyPaths
+        .map((keyPath, i) => ({ path: keyPath, before: before[i], after: valueAt(data, keyPath) }))
+        .filter(change => change.before !== change.after);
+    options.diff.unchanged += keyPaths.length - changes.length;
+    if (changes.length === 0) {
+        return;
+    }
+    options.diff.changes.push(...changes.map(change => ({ file, ...change })));
+    if (options.diff.style === 'unified') {
+        console.log(unifiedDiff(file, changes));
+    } else if (options.diff.style === 'side-by-side') {
+        console.log(sideBySideDiff(file, changes));
     }
 }
 
-// Check if file is already translated
-function isFileTranslated(filePath, translatedFiles) {
-    // Normalize path for cross-platform compatibility
-    const normalizedPath = path.relative(__dirname, filePath).replace(/\\/g, '/');
-    return translatedFiles.has(normalizedPath);
+// Translate the values at the given key paths of one file's data and collect its report entries
+// Resolves with the translated data, without the keys the backend failed on, and those failures
+// In context mode the lines before each key come from the whole file, not only from the keys being translated;
+// only scenes are dialogue, names and titles go through their own rules (lib/labels.js)
+async function translateFileData(filePath, data, keyPaths, translator, options = {}) {
+    // Protection issues are collected per file so the report can say where they happened
+    const protectionIssues = [];
+    const failures = [];
+    const file = relativePath(filePath);
+    const fileOptions = { ...options, protectionReport: protectionIssues, failures };
+    if (isLabelFile(file)) {
+        fileOptions.translateKey = translateLabel;
+    } else if (options.contextWindow > 0 && file.startsWith('translation/scenes/')) {
+        fileOptions.context = lineContext(data, options.contextWindow);
+    }
+    const translatedData = await translateObjectValues(pickPaths(data, keyPaths), translator, fileOptions);
+    if (options.protectionReport) {
+        options.protectionReport.push(...protectionIssues.map(issue => ({ file, ...issue })));
+    }
+    if (protectionIssues.length > 0) {
+        console.warn(`⚠ ${protectionIssues.length} lines in ${filePath} lost or duplicated a protected token`);
+    }
+    
+    // Report lines where a glossary term from the source didn't make it into the output
+    if (options.glossary && options.glossaryReport) {
+        options.glossaryReport.push(...checkGlossary(filePath, translatedData, options.glossary));
+    }
+    if (failures.length > 0) {
+        console.warn(`⚠ ${failures.length} lines in ${filePath} could not be translated (${failures[0].error.message}), they keep their old value`);
+    }
+    return { translatedData, failures };
 }
 
-// Mark file as translated
-function markFileAsTranslated(filePath, translatedFiles) {
-    const normalizedPath = path.relative(__dirname, filePath).replace(/\\/g, '/');
-    translatedFiles.add(normalizedPath);
+// Split the keys sent for translation into the ones that made it and the ones that failed
+// Failed keys go to the failed-lines ledger and get no state, so the next run tries them again;
+// translated ones leave the ledger. A circuit breaker that gave up stops the run
+function settleFailures(filePath, items, failures, options) {
+    const file = relativePath(filePath);
+    const failed = new Map(failures.map(failure => [JSON.stringify(failure.path), failure.error]));
+    countKeys(options, 'failed', failures.length);
+    if (failures.some(failure => failure.error.code === 'circuit_open')) {
+        options.aborted = true;
+    }
+    const translated = [];
+    for (const item of items) {
+        const error = failed.get(JSON.stringify(item.path));
+        if (options.ledger && error) {
+            options.ledger.record(file, item.path, error);
+        } else if (options.ledger) {
+            options.ledger.clear(file, item.path);
+        }
+        if (!error) {
+            translated.push(item);
+        }
+    }
+    return translated;
 }
 
-async function processJsonFile(filePath, translatedFiles) {
+// Translate the keys of a file that are new or whose source changed since the last run
+// Values edited by hand are recorded as such and never overwritten, entries of removed keys are dropped
+async function processJsonFile(filePath, translator, options = {}) {
     try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const data = JSON.parse(content);
+        const data = readTranslationData(filePath);
+        const state = loadState(filePath) || createState();
         
-        // Skip if already translated (check tracking file)
-        if (isFileTranslated(filePath, translatedFiles)) {
-            return false; // Return false to indicate file was skipped
-        }
-        
-        // Also check for old __translated__ marker for backward compatibility
-        if (data['__translated__'] === 'true' || data['__translated__'] === true) {
-            // Mark in tracking file and skip
-            markFileAsTranslated(filePath, translatedFiles);
+        const plan = planFile(data, state);
+        applyEdits(state, plan);
+        countKeys(options, 'edited', plan.edited.length);
+        countKeys(options, 'removed', plan.removed.length);
+        const items = options.force ? [...plan.pending, ...retranslatableItems(data, state, plan)] : plan.pending;
+        if (items.length === 0) {
+            if ((plan.edited.length > 0 || plan.removed.length > 0) && !options.dryRun) {
+                saveState(filePath, state);
+            }
             return false;
         }
         
-        console.log(`Processing ${filePath}...`);
+        console.log(`Processing ${items.length} ${options.force ? '' : 'new or changed '}keys in ${filePath}...`);
         
-        // Remove __translated__ marker if it exists (to avoid processing issues)
-        const hasMarker = data.hasOwnProperty('__translated__');
-        if (hasMarker) {
-            delete data['__translated__'];
+        // Translate only the pending keys (keeping keys as Japanese) and merge them back
+        const { translatedData, failures } = await translateFileData(filePath, data, items.map(item => item.path), translator, options);
+        const translated = settleFailures(filePath, items, failures, options);
+        const keyPaths = translated.map(item => item.path);
+        mergeValues(data, translatedData);
+        recordDiff(filePath, data, keyPaths, translated.map(item => item.value), options);
+        countKeys(options, 'translated', keyPaths.length);
+        if (options.dryRun) {
+            return keyPaths.length > 0;
         }
+        // Every key failed: the file stays as it was
+        if (keyPaths.length === 0) {
+            if (plan.edited.length > 0 || plan.removed.length > 0) {
+                saveState(filePath, state);
+            }
+            return false;
+        }
+        writeJson(filePath, data);
         
-        // Translate all values (keeping keys as Japanese)
-        const translatedData = await translateObjectValues(data);
-        
-        // Write back to file with proper formatting (no marker added)
-        const output = JSON.stringify(translatedData, null, 4);
-        fs.writeFileSync(filePath, output, 'utf8');
-        
-        // Mark as translated in tracking file
-        markFileAsTranslated(filePath, translatedFiles);
+        recordValues(state, data, keyPaths, translator.backend.name, translator.backend.model);
+        saveState(filePath, state);
         
         console.log(`✓ Completed ${filePath}`);
         return true; // Return true to indicate file was processed
@@ -605,146 +226,413 @@ async function processJsonFile(filePath, translatedFiles) {
     }
 }
 
-async function processDirectory(dirPath, maxFiles = null, stats = { processed: 0, skipped: 0 }, translatedFiles) {
-    // If we've reached the limit, stop processing
-    if (maxFiles !== null && stats.processed >= maxFiles) {
-        return stats;
-    }
-    
-    const files = fs.readdirSync(dirPath, { withFileTypes: true });
-    
-    for (const file of files) {
+async function processDirectory(dirPath, maxFiles = null, stats = { processed: 0, skipped: 0 }, translator, options = {}) {
+    for (const filePath of filesToTranslate(dirPath)) {
         // If we've reached the limit, stop processing
         if (maxFiles !== null && stats.processed >= maxFiles) {
             break;
         }
+        if (options.aborted) {
+            break;
+        }
+        // --retry-failed: only the files with lines in the failed-lines ledger
+        if (options.onlyFiles && !options.onlyFiles.has(relativePath(filePath))) {
+            continue;
+        }
         
-        const fullPath = path.join(dirPath, file.name);
-        
-        if (file.isDirectory()) {
-            await processDirectory(fullPath, maxFiles, stats, translatedFiles);
-        } else if (file.name.endsWith('.json') && file.name.includes('zh_Hans')) {
-            // Check if file is already translated
-            if (isFileTranslated(fullPath, translatedFiles)) {
-                stats.skipped++;
-                continue; // Skip already translated files
-            }
-            
-            // Also check for old __translated__ marker for backward compatibility
-            try {
-                const content = fs.readFileSync(fullPath, 'utf8');
-                const data = JSON.parse(content);
-                
-                if (data['__translated__'] === 'true' || data['__translated__'] === true) {
-                    // Mark in tracking file and skip
-                    markFileAsTranslated(fullPath, translatedFiles);
-                    stats.skipped++;
-                    continue;
-                }
-            } catch (error) {
-                // If we can't read the file, skip it
-                continue;
-            }
-            
-            // Process the file
-            const wasProcessed = await processJsonFile(fullPath, translatedFiles);
-            if (wasProcessed) {
-                stats.processed++;
-                // Save tracking file periodically (every 10 files)
-                if (stats.processed % 10 === 0) {
-                    saveTranslatedFiles(translatedFiles);
-                }
-            } else {
-                stats.skipped++;
+        const wasProcessed = await processJsonFile(filePath, translator, options);
+        if (wasProcessed) {
+            stats.processed++;
+            // Save translation memory periodically (every 10 files)
+            if (stats.processed % 10 === 0 && translator.memory && !options.dryRun) {
+                translator.memory.save();
             }
+        } else {
+            stats.skipped++;
         }
     }
     
     return stats;
 }
 
-// Test Sugoi connection
-async function testSugoiConnection() {
+// Retranslate only the values that are still Chinese or Japanese, whatever the state says
+// Approved lines and values edited by hand are left alone
+async function processUntranslatedFile(filePath, translator, options = {}) {
+    try {
+        const data = readTranslationData(filePath);
+        const state = loadState(filePath) || createState();
+        const plan = planFile(data, state);
+        const untranslated = untranslatedItems(data, state, plan);
+        if (untranslated.length === 0) {
+            return false;
+        }
+        
+        console.log(`Processing ${untranslated.length} untranslated values in ${filePath}...`);
+        const { translatedData, failures } = await translateFileData(filePath, data, untranslated.map(entry => entry.path), translator, options);
+        const translated = settleFailures(filePath, untranslated, failures, options);
+        const keyPaths = translated.map(entry => entry.path);
+        mergeValues(data, translatedData);
+        recordDiff(filePath, data, keyPaths, translated.map(entry => entry.value), options);
+        countKeys(options, 'translated', keyPaths.length);
+        if (options.dryRun || keyPaths.length === 0) {
+            return keyPaths.length > 0;
+        }
+        writeJson(filePath, data);
+        
+        recordValues(applyEdits(state, plan), data, keyPaths, translator.backend.name, translator.backend.model);
+        saveState(filePath, state);
+        
+        console.log(`✓ Completed ${filePath}`);
+        return true;
+    } catch (error) {
+        console.error(`Error processing ${filePath}:`, error.message);
+        return false;
+    }
+}
+
+// Test backend connection
+async function testBackendConnection(backend) {
     try {
-        const testTranslation = await translateWithSugoi('こんにちは');
+        const testTranslation = await backend.request('こんにちは');
         if (testTranslation && testTranslation !== 'こんにちは') {
-            console.log('✓ Sugoi connection test successful:', testTranslation);
+            console.log(`✓ ${backend.name} connection test successful:`, testTranslation);
             return true;
         } else {
-            console.error('❌ Sugoi returned original text, translation may not be working');
+            console.error(`❌ ${backend.name} returned original text, translation may not be working`);
             return false;
         }
     } catch (error) {
-        console.error('Failed to connect to Sugoi Offline Translator:', error.message);
-        console.error('Make sure Sugoi is running on one of these ports:', SUGOI_PORTS.join(', '));
+        console.error(`Failed to connect to ${backend.description}:`, error.message);
         return false;
     }
 }
 
+function printUsage() {
+    console.error('Usage: node translate-values.js [maxFiles] [--backend <name>] [--config <file>]');
+    console.error('                                [--concurrency <n>] [--batch-size <n>] [--rate <requests per second>]');
+    console.error('                                [--memory <file> | --no-memory] [--no-glossary]');
+    console.error('                                [--force] [--dry-run] [--diff | --side-by-side] [--diff-report <file>]');
+    console.error('                                [--retries <n>] [--retry-failed] [--context <lines>]');
+    console.error('       node translate-values.js [maxFiles] --untranslated [options]');
+    console.error('       node translate-values.js --glossary-check');
+    console.error('       node translate-values.js --names-check');
+    console.error('       node translate-values.js --memory-export <file> [--backend <name>]');
+    console.error('       node translate-values.js --memory-import <file>');
+    console.error(`Backends: ${Object.keys(BACKENDS).join(', ')}`);
+    console.error('Example: node translate-values.js 100 --backend openai');
+}
+
 // Main execution
 async function main() {
-    const translationDir = path.join(__dirname, 'translation');
+    const translationDir = TRANSLATION_DIR;
     
     if (!fs.existsSync(translationDir)) {
         console.error('Translation directory not found!');
         return;
     }
     
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                backend: { type: 'string', short: 'b' },
+                config: { type: 'string', short: 'c' },
+                concurrency: { type: 'string' },
+                'batch-size': { type: 'string' },
+                rate: { type: 'string' },
+                memory: { type: 'string' },
+                'no-memory': { type: 'boolean' },
+                'memory-export': { type: 'string' },
+                'memory-import': { type: 'string' },
+                'no-glossary': { type: 'boolean' },
+                'glossary-check': { type: 'boolean' },
+                'names-check': { type: 'boolean' },
+                untranslated: { type: 'boolean' },
+                force: { type: 'boolean' },
+                'dry-run': { type: 'boolean' },
+                diff: { type: 'boolean' },
+                'side-by-side': { type: 'boolean' },
+                'diff-report': { type: 'string' },
+                retries: { type: 'string' },
+                'retry-failed': { type: 'boolean' },
+                context: { type: 'string' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        printUsage();
+        return;
+    }
+    
+    // Glossary of names and terms enforced during translation
+    const glossary = args.values['no-glossary'] ? null : createGlossary();
+    
+    // Check the existing translations against the glossary and exit
+    if (args.values['glossary-check']) {
+        if (!glossary) {
+            console.error('--glossary-check cannot be combined with --no-glossary');
+            return;
+        }
+        const report = [];
+        for (const filePath of findTranslationFiles(translationDir)) {
+            try {
+                const data = readJson(filePath);
+                report.push(...checkGlossary(filePath, data, glossary));
+            } catch (error) {
+                console.error(`Error checking ${filePath}:`, error.message);
+            }
+        }
+        saveReport(GLOSSARY_REPORT_FILE, report);
+        console.log(`✓ ${report.length} lines with missing glossary terms (${glossary.size} terms), see ${GLOSSARY_REPORT_FILE}`);
+        return;
+    }
+    
+    // Check that names are rendered the same everywhere in the names and titles files and exit
+    if (args.values['names-check']) {
+        const issues = checkLabels({ names: readJsonIfExists(NAMES_FILE) || {}, titles: readJsonIfExists(TITLES_FILE) || {} });
+        saveReport(NAMES_REPORT_FILE, issues);
+        const counts = {};
+        issues.forEach(issue => { counts[issue.check] = (counts[issue.check] || 0) + 1; });
+        issues.forEach(issue => console.log(`⚠ [${issue.check}] ${issue.section} ${JSON.stringify(issue.key)}: ${issue.message}`));
+        const summary = Object.entries(counts).map(([check, count]) => `${count} ${check}`).join(', ');
+        console.log(`✓ ${issues.length} inconsistent names and titles${summary ? ` (${summary})` : ''}, see ${NAMES_REPORT_FILE}`);
+        return;
+    }
+    
+    // Translation memory, consulted before any request reaches the backend
+    const memory = args.values['no-memory'] ? null : createTranslationMemory(args.values.memory);
+    
+    // Export/import the translation memory and exit
+    if (args.values['memory-export'] || args.values['memory-import']) {
+        if (!memory) {
+            console.error('--memory-export/--memory-import cannot be combined with --no-memory');
+            return;
+        }
+        try {
+            if (args.values['memory-import']) {
+                const imported = memory.importFrom(args.values['memory-import']);
+                memory.save();
+                console.log(`✓ Imported ${imported} entries into ${memory.filePath} (${memory.size} total)`);
+            }
+            if (args.values['memory-export']) {
+                const exported = memory.exportTo(args.values['memory-export'], args.values.backend);
+                console.log(`✓ Exported ${exported} entries to ${args.values['memory-export']}`);
+            }
+        } catch (error) {
+            console.error('Translation memory operation failed:', error.message);
+        }
+        return;
+    }
+    
+    // --dry-run translates as usual but writes nothing: no translation, state, memory or report file
+    const dryRun = Boolean(args.values['dry-run']);
+    
     // Check for command line arguments for max number of files to process
     let maxFiles = null;
-    const args = process.argv.slice(2);
-    if (args.length >= 1) {
-        const fileCount = parseInt(args[0]);
+    if (args.positionals.length >= 1) {
+        const fileCount = parseInt(args.positionals[0]);
         if (!isNaN(fileCount) && fileCount > 0) {
             maxFiles = fileCount;
-            console.log(`\n📋 Will process up to ${maxFiles} files (skipping already translated files)\n`);
+            console.log(`\n📋 Will process up to ${maxFiles} files (skipping files that are up to date)\n`);
         } else {
-            console.error('Invalid file count. Usage: node translate-values.js [maxFiles]');
-            console.error('Example: node translate-values.js 100');
+            console.error('Invalid file count.');
+            printUsage();
             return;
         }
     }
     
-    console.log('Testing Sugoi Offline Translator connection...');
-    const connected = await testSugoiConnection();
+    // Backend selection: --backend flag, then config file, then Sugoi
+    // Scheduler settings: command line flags override the "scheduler" section of the config file
+    // Retry policy: the "retry" and "circuitBreaker" sections, --retries overrides the number of retries
+    // Context mode: the "context" section, --context overrides the number of lines sent along
+    let backend;
+    let schedulerOptions;
+    let contextWindow;
+    try {
+        const config = loadConfig(args.values.config);
+        const backendName = args.values.backend || config.backend;
+        const retry = { ...config.retry };
+        if (args.values.retries !== undefined) {
+            retry.retries = Number(args.values.retries);
+            if (!Number.isInteger(retry.retries) || retry.retries < 0) {
+                throw new Error(`Invalid value for --retries: ${args.values.retries}`);
+            }
+        }
+        backend = createBackend(backendName, config.backends[backendName], { retry, circuitBreaker: config.circuitBreaker });
+        contextWindow = args.values.context !== undefined ? Number(args.values.context) : config.context.window || 0;
+        if (!Number.isInteger(contextWindow) || contextWindow < 0) {
+            throw new Error(`Invalid value for --context: ${args.values.context !== undefined ? args.values.context : config.context.window}`);
+        }
+        if (config.configFile) {
+            console.log(`Using config file ${config.configFile}`);
+        }
+        
+        schedulerOptions = { ...config.scheduler };
+        const numericFlags = { concurrency: 'concurrency', 'batch-size': 'batchSize', rate: 'requestsPerSecond' };
+        for (const [flag, option] of Object.entries(numericFlags)) {
+            if (args.values[flag] === undefined) {
+                continue;
+            }
+            const value = Number(args.values[flag]);
+            if (isNaN(value) || value < 0 || (option !== 'requestsPerSecond' && value < 1)) {
+                throw new Error(`Invalid value for --${flag}: ${args.values[flag]}`);
+            }
+            schedulerOptions[option] = value;
+        }
+    } catch (error) {
+        console.error(error.message);
+        printUsage();
+        return;
+    }
+    
+    console.log(`Testing ${backend.description} connection...`);
+    const connected = await testBackendConnection(backend);
     
     if (!connected) {
-        console.error('\n❌ Cannot connect to Sugoi Offline Translator.');
-        console.error('Please make sure:');
-        console.error('1. Sugoi Offline Translator server is running');
-        console.error(`2. It is accessible at http://localhost:${SUGOI_PORTS.join(' or ')}`);
-        console.error('3. The API endpoint is / (root)');
-        console.error('\nYou can also modify SUGOI_PORTS in the script if your server uses a different port.');
+        console.error(`\n❌ Cannot connect to ${backend.description}.`);
+        console.error('Please make sure the translation server is running and reachable,');
+        console.error('or pick another backend with --backend / the "backends" section of translate.config.json.');
         return;
     }
     
-    console.log('\n✓ Connected to Sugoi!');
+    console.log(`\n✓ Connected to ${backend.name}!`);
+    const translator = createScheduler(backend, schedulerOptions, memory);
+    if (memory) {
+        console.log(`Translation memory: ${memory.filePath} (${memory.size} entries)`);
+    }
+    if (glossary) {
+        console.log(`Glossary: ${glossary.size} terms`);
+    }
+    const { concurrency, batchSize, requestsPerSecond } = translator.settings;
+    console.log(`Using ${concurrency} workers, up to ${batchSize} lines per request` +
+        (requestsPerSecond ? `, at most ${requestsPerSecond} requests/s` : ''));
+    if (contextWindow > 0 && !translator.translateInContext) {
+        console.warn(`⚠ ${backend.name} does not take context, lines are translated on their own`);
+        contextWindow = 0;
+    } else if (contextWindow > 0) {
+        console.log(`Context mode: every key is sent with up to ${contextWindow} lines before it (without speaker names, scene files don't record them)`);
+    }
     console.log('Starting translation process...');
+    const keyKinds = args.values.force ? 'all machine-translated' : 'new and changed';
     if (maxFiles) {
-        console.log(`This will translate up to ${maxFiles} files (skipping already translated)...\n`);
+        console.log(`This will translate ${keyKinds} keys in up to ${maxFiles} files...\n`);
     } else {
-        console.log('This will translate all files (skipping already translated)...\n');
+        console.log(`This will translate ${keyKinds} keys in all files...\n`);
+    }
+    if (dryRun) {
+        console.log('Dry run: no translation, state, memory or report file will be written\n');
     }
     
-    // Load tracking file
-    const translatedFiles = loadTranslatedFiles();
-    console.log(`Found ${translatedFiles.size} files already marked as translated in tracking file.\n`);
+    // Lines that failed in earlier runs, --retry-failed only goes through their files
+    const ledger = createFailedLinesLedger();
+    const onlyFiles = args.values['retry-failed'] ? ledger.files() : null;
+    if (onlyFiles) {
+        console.log(`Retrying ${ledger.size()} failed lines in ${onlyFiles.size} files from ${ledger.filePath}\n`);
+    }
     
     const stats = { processed: 0, skipped: 0 };
-    await processDirectory(translationDir, maxFiles, stats, translatedFiles);
+    // --diff prints a unified diff of every changed value, --side-by-side two columns; --diff-report saves them as JSON
+    const diffStyle = args.values['side-by-side'] ? 'side-by-side' : args.values.diff ? 'unified' : null;
+    const diffReportFile = args.values['diff-report'] ? path.resolve(args.values['diff-report']) : null;
+    // Glossary terms are protected like any other token, after markup so they never match inside tags
+    const protector = createProtector(glossary ? [...DEFAULT_RULES, glossary.rule()] : DEFAULT_RULES);
+    const options = {
+        protector,
+        glossary,
+        glossaryReport: [],
+        protectionReport: [],
+        keyStats: { translated: 0, edited: 0, removed: 0, failed: 0 },
+        ledger,
+        onlyFiles,
+        aborted: false,
+        force: Boolean(args.values.force),
+        dryRun,
+        contextWindow,
+        // Names the names and titles files should keep rendering the same way
+        knownNames: collectKnownNames({ glossary, titles: readJsonIfExists(TITLES_FILE) }),
+        diff: diffStyle || diffReportFile ? { style: diffStyle, changes: [], unchanged: 0 } : null
+    };
+    if (args.values.untranslated) {
+        // Only the values detect-untranslated.js flags, in every file
+        for (const filePath of filesToTranslate(translationDir)) {
+            if ((maxFiles !== null && stats.processed >= maxFiles) || options.aborted) {
+                break;
+            }
+            if (options.onlyFiles && !options.onlyFiles.has(relativePath(filePath))) {
+                continue;
+            }
+            if (await processUntranslatedFile(filePath, translator, options)) {
+                stats.processed++;
+            } else {
+                stats.skipped++;
+            }
+        }
+    } else {
+        await processDirectory(translationDir, maxFiles, stats, translator, options);
+    }
+    
+    // Save translation memory at the end, state files are saved with each file
+    if (memory && !dryRun) {
+        memory.save();
+    }
+    if (glossary && !dryRun) {
+        saveReport(GLOSSARY_REPORT_FILE, options.glossaryReport);
+    }
+    if (!dryRun) {
+        saveReport(PROTECTION_REPORT_FILE, options.protectionReport);
+    }
+    // The diff report was asked for explicitly, so it is written even on a dry run
+    if (diffReportFile) {
+        saveReport(diffReportFile, {
+            generatedAt: new Date().toISOString(),
+            dryRun,
+            backend: translator.backend.name,
+            changed: options.diff.changes.length,
+            unchanged: options.diff.unchanged,
+            changes: options.diff.changes
+        });
+    }
     
-    // Save tracking file at the end
-    saveTranslatedFiles(translatedFiles);
+    if (!dryRun) {
+        ledger.save();
+    }
     
-    console.log('\n✓ Translation process completed!');
+    if (options.aborted) {
+        console.error(`\n❌ ${backend.description} stayed down, stopped early. Run again to continue where this run stopped.`);
+    }
+    console.log(dryRun ? '\n✓ Dry run completed, nothing was written' : '\n✓ Translation process completed!');
     console.log(`  Processed: ${stats.processed} files`);
-    console.log(`  Skipped (already translated): ${stats.skipped} files`);
+    console.log(`  Skipped (up to date): ${stats.skipped} files`);
+    const { keyStats } = options;
+    console.log(`  Keys translated: ${keyStats.translated}, edited by hand and kept: ${keyStats.edited}, removed: ${keyStats.removed}`);
+    console.log(`  Sent ${translator.stats.lines} lines in ${translator.stats.batches} requests` +
+        ` (${translator.stats.cached} more answered from translation memory)`);
+    if (keyStats.failed > 0 || ledger.size() > 0) {
+        console.log(`  Keys failed: ${keyStats.failed}, left untranslated for the next run` +
+            (dryRun ? '' : ` (${ledger.size()} in ${ledger.filePath}, retry with --retry-failed)`));
+    }
     if (maxFiles && stats.processed >= maxFiles) {
         console.log(`  Reached limit of ${maxFiles} files`);
     }
-    console.log(`\nTracking file: ${TRACKING_FILE} (can be committed to git)`);
+    if (options.diff) {
+        console.log(`  Values changed: ${options.diff.changes.length}, unchanged: ${options.diff.unchanged}` +
+            (diffReportFile ? ` (see ${diffReportFile})` : ''));
+    }
+    if (dryRun) {
+        return;
+    }
+    if (glossary) {
+        console.log(`  Lines with missing glossary terms: ${options.glossaryReport.length} (see ${GLOSSARY_REPORT_FILE})`);
+    }
+    console.log(`  Lines with lost protected tokens: ${options.protectionReport.length} (see ${PROTECTION_REPORT_FILE})`);
+    console.log(`\nPer-key state is kept in .${TARGET_LOCALE}.state.json next to each file (commit it to git)`);
 }
 
-main().catch(console.error);
-
+// Running only as `node translate-values.js`: the tests take the key selection as it is
+if (require.main === module) {
+    main().catch(console.error);
+}
 
+module.exports = { retranslatableItems, untranslatedItems };
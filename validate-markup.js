@@ -0,0 +1,102 @@
+const { parseArgs } = require('util');
+const { TRANSLATION_DIR, findTranslationFiles, readJson, relativePath } = require('./lib/files');
+const { validateLine } = require('./lib/markup');
+
+// Validate the markup of translated values against their Japanese keys:
+// tag sets, nesting, line-break counts and username placeholders must match.
+// Exits with status 1 when any line is broken, so it can gate commits and deploys.
+
+// Problems for every key of a (possibly nested) translation file
+function validateFile(filePath) {
+    const data = readJson(filePath);
+    const lines = [];
+    const visit = (obj) => {
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'object' && value !== null) {
+                visit(value);
+                continue;
+            }
+            const problems = validateLine(key, value);
+            if (problems.length > 0) {
+                lines.push({ key, value, problems });
+            }
+        }
+    };
+    visit(data);
+    return lines;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            args: process.argv.slice(2),
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node validate-markup.js [--json] [file or directory ...]');
+        process.exitCode = 2;
+        return;
+    }
+
+    const targets = args.positionals.length > 0 ? args.positionals : [TRANSLATION_DIR];
+    const report = [];
+    let checkedFiles = 0;
+
+    for (const target of targets) {
+        let files;
+        try {
+            files = findTranslationFiles(target);
+        } catch (error) {
+            console.error(`Cannot read ${target}:`, error.message);
+            process.exitCode = 2;
+            return;
+        }
+        for (const filePath of files) {
+            const file = relativePath(filePath);
+            checkedFiles++;
+            try {
+                const lines = validateFile(filePath);
+                if (lines.length > 0) {
+                    report.push({ file, lines });
+                }
+            } catch (error) {
+                report.push({ file, error: error.message, lines: [] });
+            }
+        }
+    }
+
+    const brokenLines = report.reduce((sum, entry) => sum + entry.lines.length, 0);
+    const unreadableFiles = report.filter(entry => entry.error).length;
+
+    if (args.values.json) {
+        console.log(JSON.stringify({ checkedFiles, brokenLines, files: report }, null, 2));
+    } else {
+        for (const entry of report) {
+            console.log(`\n${entry.file}`);
+            if (entry.error) {
+                console.log(`  ❌ cannot parse: ${entry.error}`);
+            }
+            for (const line of entry.lines) {
+                console.log(`  ${JSON.stringify(line.key)}`);
+                line.problems.forEach(problem => console.log(`    ❌ [${problem.check}] ${problem.message}`));
+            }
+        }
+        if (report.length === 0) {
+            console.log(`✓ Markup is intact in all ${checkedFiles} files`);
+        } else {
+            console.log(`\n❌ ${brokenLines} broken lines in ${report.length - unreadableFiles} of ${checkedFiles} files` +
+                (unreadableFiles ? `, ${unreadableFiles} unreadable files` : ''));
+        }
+    }
+
+    if (report.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();